@@ -1,10 +1,9 @@
 #!/usr/bin/env node
 
 // Import required packages
-const screenshot = require('screenshot-desktop');
-const robot = require('robotjs');
 const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { McpError, ErrorCode, SubscribeRequestSchema, UnsubscribeRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
 const { z } = require("zod");
 const fs = require('fs');
 
@@ -18,15 +17,13 @@ const server = new McpServer(
   },
   {
     capabilities: {
-      resources: {},
+      resources: { subscribe: true },
       tools: {},
       logging: {},
     },
   },
 );
 
-const screenshots = {};
-
 // Debug logging utility
 const path = require('path');
 const os = require('os');
@@ -42,6 +39,216 @@ const args = process.argv.slice(2);
 const isGlobalDebugEnabled = args.includes('--debug');
 const showHelp = args.includes('--help') || args.includes('-h');
 
+// Reads a "--name=value" command line option
+const getArgValue = (name) => {
+  const prefix = `--${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+};
+
+// Reads a numeric command line option, falling back when missing or invalid
+const getNumberArg = (name, fallback) => {
+  const value = Number(getArgValue(name));
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Server-wide capture encoding defaults, overridable per call via the encoding parameter
+const captureDefaults = {
+  format: ['webp', 'jpeg', 'png'].includes(getArgValue('capture-format')) ? getArgValue('capture-format') : 'webp',
+  quality: Math.min(100, getNumberArg('capture-quality', 15)),
+  scale: Math.min(1, getNumberArg('capture-scale', 0.5)),
+  maxWidth: getNumberArg('capture-max-width', 1280),
+  maxHeight: getNumberArg('capture-max-height', 720),
+  maxKB: getNumberArg('capture-max-kb', 300)
+};
+
+// Bounded store for captures, exposed as screenshot:// resources. Entries are kept
+// in least-recently-used order. Once the in-memory count or byte limit is exceeded
+// the oldest entries are dropped, or written to the spill directory when one is
+// configured. Spilled entries are reloaded from that directory on startup.
+const captureStore = {
+  entries: new Map(),
+  counter: 0,
+  maxEntries: getNumberArg('store-max-entries', 50),
+  maxBytes: getNumberArg('store-max-mb', 100) * 1024 * 1024,
+  maxDiskBytes: getNumberArg('store-max-disk-mb', 1024) * 1024 * 1024,
+  spillDir: getArgValue('store-dir') ? path.resolve(getArgValue('store-dir')) : null,
+
+  // Millisecond timestamp plus a counter, so captures in the same second never collide
+  createId(prefix) {
+    this.counter = (this.counter + 1) % 1000;
+    return `${prefix}-${Date.now()}-${String(this.counter).padStart(3, '0')}`;
+  },
+
+  // Stores a capture and returns its entry (without the image data), or null when
+  // the capture alone is over the memory budget and could not be spilled to disk
+  add(id, buffer, mimeType, metadata = {}) {
+    this.entries.delete(id);
+    this.entries.set(id, {
+      id,
+      mimeType,
+      bytes: buffer.length,
+      data: buffer,
+      file: null,
+      metadata: { timestamp: Date.now(), ...metadata }
+    });
+    this.evict();
+    const entry = this.entries.get(id);
+    return entry ? this.describe(entry) : null;
+  },
+
+  // Memory budget as text, in KB when it is under a megabyte
+  describeBudget() {
+    return this.maxBytes < 1024 * 1024
+      ? `${Math.round(this.maxBytes / 1024)}KB`
+      : `${+(this.maxBytes / 1024 / 1024).toFixed(1)}MB`;
+  },
+
+  // Explains a null from add() to the client
+  describeRejection(bytes) {
+    return `the ${(bytes / 1024).toFixed(1)}KB capture does not fit the ${this.describeBudget()} capture store (--store-max-mb)`;
+  },
+
+  // Returns { entry, buffer } for an id (with or without the screenshot:// prefix)
+  // and marks it as recently used, or null when it does not exist
+  get(id) {
+    const key = String(id).replace(/^screenshot:\/\//, '');
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (entry.data) {
+      return { entry: this.describe(entry), buffer: entry.data };
+    }
+    try {
+      return { entry: this.describe(entry), buffer: fs.readFileSync(entry.file) };
+    } catch (error) {
+      this.entries.delete(key);
+      return null;
+    }
+  },
+
+  // Lists all entries, most recent first, without image data
+  list() {
+    return [...this.entries.values()].reverse().map(entry => this.describe(entry));
+  },
+
+  describe(entry) {
+    return {
+      id: entry.id,
+      uri: `screenshot://${entry.id}`,
+      mimeType: entry.mimeType,
+      bytes: entry.bytes,
+      onDisk: !entry.data,
+      metadata: entry.metadata
+    };
+  },
+
+  // Moves least recently used entries out of memory until both limits hold
+  evict() {
+    const inMemory = () => [...this.entries.values()].filter(entry => entry.data);
+    let memory = inMemory();
+    let memoryBytes = memory.reduce((sum, entry) => sum + entry.bytes, 0);
+
+    while (memory.length > 0 && (memory.length > this.maxEntries || memoryBytes > this.maxBytes)) {
+      const oldest = memory.shift();
+      memoryBytes -= oldest.bytes;
+      if (!this.spill(oldest)) {
+        this.entries.delete(oldest.id);
+      }
+    }
+
+    if (this.spillDir) {
+      const onDisk = [...this.entries.values()].filter(entry => entry.file);
+      let diskBytes = onDisk.reduce((sum, entry) => sum + entry.bytes, 0);
+      while (onDisk.length > 0 && diskBytes > this.maxDiskBytes) {
+        const oldest = onDisk.shift();
+        diskBytes -= oldest.bytes;
+        this.remove(oldest.id);
+      }
+    }
+  },
+
+  // Writes an entry and its metadata to the spill directory, returns false when spilling is off or fails
+  spill(entry) {
+    if (!this.spillDir) {
+      return false;
+    }
+    try {
+      fs.mkdirSync(this.spillDir, { recursive: true });
+      const extension = entry.mimeType.split('/')[1] || 'bin';
+      const file = path.join(this.spillDir, `${entry.id}.${extension}`);
+      fs.writeFileSync(file, entry.data);
+      fs.writeFileSync(path.join(this.spillDir, `${entry.id}.json`), JSON.stringify({
+        id: entry.id,
+        mimeType: entry.mimeType,
+        bytes: entry.bytes,
+        file: path.basename(file),
+        metadata: entry.metadata
+      }));
+      entry.file = file;
+      entry.data = null;
+      return true;
+    } catch (error) {
+      debugLog(`CAPTURE STORE DEBUG: spilling ${entry.id} failed: ${error.message}\n`);
+      return false;
+    }
+  },
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(id);
+    if (entry.file) {
+      for (const file of [entry.file, path.join(this.spillDir, `${entry.id}.json`)]) {
+        try {
+          fs.unlinkSync(file);
+        } catch (error) {
+          // Already gone
+        }
+      }
+    }
+    return true;
+  },
+
+  // Reloads entries spilled by earlier sessions, oldest first, then applies the
+  // limits. Sidecars may only name files inside the spill directory.
+  loadSpilled() {
+    if (!this.spillDir || !fs.existsSync(this.spillDir)) {
+      return;
+    }
+    const stored = [];
+    for (const name of fs.readdirSync(this.spillDir)) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const info = JSON.parse(fs.readFileSync(path.join(this.spillDir, name), 'utf8'));
+        // spill() names the sidecar after the id and stores a bare file name
+        const file = path.join(this.spillDir, String(info.file));
+        if (info.id !== name.slice(0, -'.json'.length) || path.dirname(file) !== this.spillDir) {
+          throw new Error('id or file does not match a spilled capture');
+        }
+        if (fs.existsSync(file)) {
+          stored.push({ id: info.id, mimeType: info.mimeType, bytes: info.bytes, data: null, file, metadata: info.metadata || {} });
+        }
+      } catch (error) {
+        debugLog(`CAPTURE STORE DEBUG: skipping unreadable ${name}: ${error.message}\n`);
+      }
+    }
+    stored.sort((a, b) => (a.metadata.timestamp || 0) - (b.metadata.timestamp || 0));
+    for (const entry of stored) {
+      this.entries.set(entry.id, entry);
+    }
+    this.evict();
+  }
+};
+
 // Show help if requested
 if (showHelp) {
   console.log(`
@@ -56,11 +263,37 @@ OPTIONS:
                  - Saves debug screenshots for mouse operations
                  - Logs coordinate transformations and error details
 
+  --capture-format=webp|jpeg|png   Default capture image format (default: webp)
+  --capture-quality=N              Default capture quality 1-100 (default: 15)
+  --capture-scale=N                Default capture downscale factor 0-1 (default: 0.5)
+  --capture-max-width=N            Default maximum capture width (default: 1280)
+  --capture-max-height=N           Default maximum capture height (default: 720)
+  --capture-max-kb=N               Default capture size budget in KB (default: 300)
+                 Captures above the budget are re-encoded at lower quality and
+                 size until they fit
+
+  --store-max-entries=N            Captures kept in memory (default: 50)
+  --store-max-mb=N                 Memory budget for stored captures in MB (default: 100)
+  --store-dir=PATH                 Spill evicted captures to this directory instead of
+                 dropping them; they are reloaded on the next start
+  --store-max-disk-mb=N            Disk budget for spilled captures in MB (default: 1024)
+
+  --backend=native|simulated       Desktop backend (default: native). simulated keeps
+                 windows in memory and records input instead of touching
+                 the real desktop, for headless testing
+  --simulated-desktop=PATH         JSON layout of displays and windows for the
+                 simulated backend
+
+  --watch-windows                  Start the window watcher (window://events) at startup
+  --window-watch-interval=N        Window watcher polling interval in ms (default: 1000)
+  --window-watch-apps=A,B          Only report windows of these applications
+
   --help, -h     Show this help message
 
 EXAMPLES:
   node server.js              # Start server in normal mode
   node server.js --debug      # Start server with debug logging enabled
+  node server.js --capture-format=jpeg --capture-quality=60
 
 DESCRIPTION:
   MCP Desktop Pro provides comprehensive desktop automation capabilities
@@ -97,61 +330,330 @@ const debugLog = (message, debugEnabled = false) => {
   }
 };
 
+// Runs a program with an argument array (no shell involved) and resolves with
+// its stdout. Set captureOutput to false for programs that keep running in the
+// background after handing over their input, such as xclip.
+const runProcess = (file, args = [], { input, env, timeout = 10000, encoding = 'utf8', captureOutput = true } = {}) => {
+  const { spawn } = require('child_process');
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, {
+      env: env ? { ...process.env, ...env } : process.env,
+      stdio: ['pipe', captureOutput ? 'pipe' : 'ignore', captureOutput ? 'pipe' : 'ignore'],
+      windowsHide: true
+    });
+
+    const stdout = [];
+    const stderr = [];
+    let settled = false;
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      error ? reject(error) : resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(new Error(`${file} timed out after ${timeout}ms`));
+    }, timeout);
+
+    if (captureOutput) {
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+    }
+
+    child.on('error', error => finish(error));
+    child.on('close', code => {
+      if (code !== 0) {
+        finish(new Error(`${file} exited with code ${code}${stderr.length ? `: ${Buffer.concat(stderr).toString().trim()}` : ''}`));
+        return;
+      }
+      const output = Buffer.concat(stdout);
+      finish(null, encoding === 'buffer' ? output : output.toString(encoding));
+    });
+
+    // Ignore EPIPE when a program exits without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+};
+
+// Cross-platform clipboard helpers. The read and write calls are the native
+// backend's clipboard; snapshot, restore and paste work with either backend.
+const clipboardHelpers = {
+  // Tries each candidate command in order and returns the first successful result
+  async tryCommands(candidates) {
+    const errors = [];
+    for (const [file, args, options] of candidates) {
+      try {
+        return await runProcess(file, args, options);
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+      }
+    }
+    throw new Error(`All clipboard commands failed. ${errors.join('; ')}${isLinux ? '. Install wl-clipboard (Wayland), xclip or xsel.' : ''}`);
+  },
+
+  async readText() {
+    if (isMacOS) {
+      return await runProcess('pbpaste', [], { env: { LANG: 'en_US.UTF-8' } });
+    } else if (isWindows) {
+      // Round-trip through base64 to avoid console code page issues with non-ASCII text
+      const base64 = await runProcess('powershell', [
+        '-NoProfile', '-Command',
+        '$text = Get-Clipboard -Raw; if ($text) { [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($text)) }'
+      ]);
+      return Buffer.from(base64.trim(), 'base64').toString('utf8');
+    } else if (isLinux) {
+      const candidates = [
+        ['xclip', ['-selection', 'clipboard', '-o']],
+        ['xsel', ['--clipboard', '--output']]
+      ];
+      if (process.env.WAYLAND_DISPLAY) {
+        candidates.unshift(['wl-paste', ['--no-newline']]);
+      }
+      return await this.tryCommands(candidates);
+    }
+    throw new Error(`Clipboard access not implemented for platform: ${platform}`);
+  },
+
+  async writeText(text) {
+    if (isMacOS) {
+      await runProcess('pbcopy', [], { input: text, env: { LANG: 'en_US.UTF-8' } });
+    } else if (isWindows) {
+      // The text travels base64 encoded over stdin: the command line is limited to
+      // 32K characters and the console code page would mangle non-ASCII input
+      await runProcess('powershell', [
+        '-NoProfile', '-Command',
+        'Set-Clipboard -Value ([Text.Encoding]::UTF8.GetString([Convert]::FromBase64String([Console]::In.ReadToEnd().Trim())))'
+      ], { input: Buffer.from(text, 'utf8').toString('base64') });
+    } else if (isLinux) {
+      const candidates = [
+        ['xclip', ['-selection', 'clipboard'], { input: text, captureOutput: false }],
+        ['xsel', ['--clipboard', '--input'], { input: text, captureOutput: false }]
+      ];
+      if (process.env.WAYLAND_DISPLAY) {
+        candidates.unshift(['wl-copy', [], { input: text, captureOutput: false }]);
+      }
+      await this.tryCommands(candidates);
+    } else {
+      throw new Error(`Clipboard access not implemented for platform: ${platform}`);
+    }
+  },
+
+  // Linux candidates for reading or writing a specific MIME type. xsel has no
+  // MIME type support, so only wl-clipboard and xclip are used.
+  linuxTypedCandidates(mimeType, mode, options = {}) {
+    const candidates = mode === 'read' ?
+      [['xclip', ['-selection', 'clipboard', '-t', mimeType, '-o'], options]] :
+      [['xclip', ['-selection', 'clipboard', '-t', mimeType], { ...options, captureOutput: false }]];
+    if (process.env.WAYLAND_DISPLAY) {
+      candidates.unshift(mode === 'read' ?
+        ['wl-paste', ['--type', mimeType], options] :
+        ['wl-copy', ['--type', mimeType], { ...options, captureOutput: false }]);
+    }
+    return candidates;
+  },
+
+  // Decodes AppleScript «data XXXX<hex>» output
+  parseAppleScriptData(output) {
+    const match = output.match(/«data \w{4}([0-9A-Fa-f]*)»/);
+    return match ? Buffer.from(match[1], 'hex') : null;
+  },
+
+  // Returns a unique temporary file path used to move images in and out of the clipboard
+  tempFilePath(extension) {
+    return path.join(os.tmpdir(), `mcp-desktop-pro-clipboard-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.${extension}`);
+  },
+
+  async readHtml() {
+    if (isMacOS) {
+      const output = await runProcess('osascript', ['-e', 'the clipboard as «class HTML»']);
+      const data = this.parseAppleScriptData(output);
+      if (!data) {
+        throw new Error('Clipboard does not contain HTML');
+      }
+      return data.toString('utf8');
+    } else if (isWindows) {
+      const base64 = await runProcess('powershell', [
+        '-NoProfile', '-Command',
+        '$html = Get-Clipboard -TextFormatType Html -Raw; if ($html) { [Convert]::ToBase64String([Text.Encoding]::UTF8.GetBytes($html)) }'
+      ]);
+      return Buffer.from(base64.trim(), 'base64').toString('utf8');
+    } else if (isLinux) {
+      return await this.tryCommands(this.linuxTypedCandidates('text/html', 'read'));
+    }
+    throw new Error(`Clipboard access not implemented for platform: ${platform}`);
+  },
+
+  async writeHtml(html) {
+    if (isMacOS) {
+      const hex = Buffer.from(html, 'utf8').toString('hex');
+      await runProcess('osascript', ['-e', `set the clipboard to «data HTML${hex}»`]);
+    } else if (isWindows) {
+      // Base64 over stdin, like writeText
+      await runProcess('powershell', [
+        '-NoProfile', '-Command',
+        'Set-Clipboard -AsHtml -Value ([Text.Encoding]::UTF8.GetString([Convert]::FromBase64String([Console]::In.ReadToEnd().Trim())))'
+      ], { input: Buffer.from(html, 'utf8').toString('base64') });
+    } else if (isLinux) {
+      await this.tryCommands(this.linuxTypedCandidates('text/html', 'write', { input: html }));
+    } else {
+      throw new Error(`Clipboard access not implemented for platform: ${platform}`);
+    }
+  },
+
+  // Reads a clipboard image as a PNG buffer
+  async readImage() {
+    if (isLinux) {
+      const image = await this.tryCommands(this.linuxTypedCandidates('image/png', 'read', { encoding: 'buffer' }));
+      if (image.length === 0) {
+        throw new Error('Clipboard does not contain an image');
+      }
+      return image;
+    }
+
+    const filePath = this.tempFilePath('png');
+    try {
+      if (isMacOS) {
+        await runProcess('osascript', [
+          '-e', 'on run argv',
+          '-e', 'set outFile to open for access (POSIX file (item 1 of argv)) with write permission',
+          '-e', 'write (the clipboard as «class PNGf») to outFile',
+          '-e', 'close access outFile',
+          '-e', 'end run',
+          filePath
+        ]);
+      } else if (isWindows) {
+        await runProcess('powershell', [
+          '-NoProfile', '-STA', '-Command',
+          'Add-Type -AssemblyName System.Windows.Forms; $image = [Windows.Forms.Clipboard]::GetImage(); if (-not $image) { exit 1 }; $image.Save($env:MCP_CLIPBOARD_FILE, [Drawing.Imaging.ImageFormat]::Png)'
+        ], { env: { MCP_CLIPBOARD_FILE: filePath } });
+      } else {
+        throw new Error(`Clipboard access not implemented for platform: ${platform}`);
+      }
+      return fs.readFileSync(filePath);
+    } catch (error) {
+      throw new Error(`Clipboard does not contain an image or it could not be read: ${error.message}`);
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  },
+
+  // Writes a PNG buffer to the clipboard as an image
+  async writeImage(png) {
+    if (isLinux) {
+      await this.tryCommands(this.linuxTypedCandidates('image/png', 'write', { input: png }));
+      return;
+    }
+
+    const filePath = this.tempFilePath('png');
+    try {
+      fs.writeFileSync(filePath, png);
+      if (isMacOS) {
+        await runProcess('osascript', [
+          '-e', 'on run argv',
+          '-e', 'set the clipboard to (read (POSIX file (item 1 of argv)) as «class PNGf»)',
+          '-e', 'end run',
+          filePath
+        ]);
+      } else if (isWindows) {
+        await runProcess('powershell', [
+          '-NoProfile', '-STA', '-Command',
+          'Add-Type -AssemblyName System.Windows.Forms; Add-Type -AssemblyName System.Drawing; [Windows.Forms.Clipboard]::SetImage([Drawing.Image]::FromFile($env:MCP_CLIPBOARD_FILE))'
+        ], { env: { MCP_CLIPBOARD_FILE: filePath } });
+      } else {
+        throw new Error(`Clipboard access not implemented for platform: ${platform}`);
+      }
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  },
+
+  // Saves the current clipboard contents (text, or an image when there is no text)
+  // so they can be restored after a temporary write. Returns null if nothing was saved.
+  // Only that one format comes back: HTML is restored as its plain text, and any
+  // other formats the clipboard held are lost.
+  async snapshot() {
+    try {
+      const text = await backend.clipboard.readText();
+      if (text) {
+        return { format: 'text', data: text };
+      }
+    } catch (error) {
+      // Fall through and try an image
+    }
+    try {
+      return { format: 'image', data: await backend.clipboard.readImage() };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async restore(snapshot) {
+    if (!snapshot) return;
+    if (snapshot.format === 'image') {
+      await backend.clipboard.writeImage(snapshot.data);
+    } else {
+      await backend.clipboard.writeText(snapshot.data);
+    }
+  },
+
+  // Sends the platform paste shortcut to the focused window
+  async paste() {
+    robot.keyTap('v', isMacOS ? 'command' : 'control');
+    // Give the application time to read the clipboard before it changes again
+    await new Promise(resolve => setTimeout(resolve, 150));
+  }
+};
+
 // Cross-platform window management helpers
 const windowHelpers = {
+  // Brings an application to the front on macOS. The name travels as a script
+  // argument, never as part of the script text.
+  async activateMacApp(targetWindow) {
+    try {
+      await runProcess('osascript', [
+        '-e', 'on run argv',
+        '-e', 'tell application (item 1 of argv) to activate',
+        '-e', 'end run',
+        targetWindow.owner.name
+      ]);
+    } catch (nameError) {
+      // Fallback: try with bundle ID
+      if (!targetWindow.owner.bundleId) throw nameError;
+      await runProcess('osascript', [
+        '-e', 'on run argv',
+        '-e', 'tell application id (item 1 of argv) to activate',
+        '-e', 'end run',
+        targetWindow.owner.bundleId
+      ]);
+    }
+  },
+
   async focusWindow(targetWindow) {
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
-    
     if (isMacOS) {
-      // macOS: Use AppleScript with simple single-line commands
-      const appName = targetWindow.owner.name;
-      
       try {
-        await execAsync(`osascript -e 'tell application "${appName}" to activate'`);
+        await this.activateMacApp(targetWindow);
         return { success: true };
-      } catch (scriptError) {
-        // Fallback: try with bundle ID
-        try {
-          await execAsync(`osascript -e 'tell application id "${targetWindow.owner.bundleId}" to activate'`);
-          return { success: true };
-        } catch (bundleError) {
-          return { success: false, error: `Failed to focus window: ${scriptError.message}` };
-        }
+      } catch (error) {
+        return { success: false, error: `Failed to focus window: ${error.message}` };
       }
     } else if (isWindows) {
-      // Windows: Use PowerShell to focus window
       try {
-        const processId = targetWindow.owner.processId;
-        const powershellScript = `
-          Add-Type -TypeDefinition 'using System; using System.Runtime.InteropServices; public class Win32 { [DllImport("user32.dll")] public static extern bool SetForegroundWindow(IntPtr hWnd); [DllImport("user32.dll")] public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow); }'
-          $process = Get-Process -Id ${processId} -ErrorAction SilentlyContinue
-          if ($process -and $process.MainWindowHandle -ne [IntPtr]::Zero) {
-            [Win32]::ShowWindow($process.MainWindowHandle, 9)
-            [Win32]::SetForegroundWindow($process.MainWindowHandle)
-          }
-        `;
-        await execAsync(`powershell -Command "${powershellScript}"`);
+        await this.manageWindowWindows(targetWindow, 'raise', {});
         return { success: true };
       } catch (error) {
         return { success: false, error: `Failed to focus window on Windows: ${error.message}` };
       }
     } else if (isLinux) {
-      // Linux: Use wmctrl or xdotool
+      // Linux: address the window by id (wmctrl -i, falling back to xdotool)
       try {
-        const windowTitle = targetWindow.title;
-        // Try wmctrl first
-        await execAsync(`wmctrl -a "${windowTitle}"`);
+        await this.manageWindowLinux(targetWindow, 'raise', {});
         return { success: true };
-      } catch (wmctrlError) {
-        try {
-          // Fallback to xdotool
-          await execAsync(`xdotool search --name "${targetWindow.title}" windowactivate`);
-          return { success: true };
-        } catch (xdotoolError) {
-          return { success: false, error: `Failed to focus window on Linux: wmctrl: ${wmctrlError.message}, xdotool: ${xdotoolError.message}` };
-        }
+      } catch (error) {
+        return { success: false, error: `Failed to focus window on Linux: ${error.message}. Make sure wmctrl or xdotool is installed` };
       }
     } else {
       return { success: false, error: `Window focusing not implemented for platform: ${platform}` };
@@ -159,42 +661,28 @@ const windowHelpers = {
   },
 
   async moveWindow(targetWindow, newX, newY, newWidth, newHeight) {
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
-    
+    const bounds = { x: newX, y: newY, width: newWidth, height: newHeight };
+
     if (isMacOS) {
-      // macOS: Use AppleScript (existing implementation)
       return await this.moveWindowMacOS(targetWindow, newX, newY, newWidth, newHeight);
     } else if (isWindows) {
-      // Windows: Use PowerShell
       try {
-        const processId = targetWindow.owner.processId;
-        const powershellScript = `
-          Add-Type -TypeDefinition 'using System; using System.Runtime.InteropServices; public class Win32 { [DllImport("user32.dll")] public static extern bool SetWindowPos(IntPtr hWnd, IntPtr hWndInsertAfter, int x, int y, int cx, int cy, uint uFlags); }'
-          $process = Get-Process -Id ${processId} -ErrorAction SilentlyContinue
-          if ($process -and $process.MainWindowHandle -ne [IntPtr]::Zero) {
-            [Win32]::SetWindowPos($process.MainWindowHandle, [IntPtr]::Zero, ${newX}, ${newY}, ${newWidth}, ${newHeight}, 0x0040)
-          }
-        `;
-        await execAsync(`powershell -Command "${powershellScript}"`);
+        await this.manageWindowWindows(targetWindow, 'set_bounds', bounds);
         return { 
           success: true, 
           message: `Window moved on Windows to position (${newX}, ${newY}) with size ${newWidth}x${newHeight}`,
-          newBounds: { x: newX, y: newY, width: newWidth, height: newHeight }
+          newBounds: bounds
         };
       } catch (error) {
         return { success: false, error: `Failed to move window on Windows: ${error.message}` };
       }
     } else if (isLinux) {
-      // Linux: Use wmctrl
       try {
-        const windowTitle = targetWindow.title;
-        await execAsync(`wmctrl -r "${windowTitle}" -e 0,${newX},${newY},${newWidth},${newHeight}`);
+        await this.manageWindowLinux(targetWindow, 'set_bounds', bounds);
         return { 
           success: true, 
           message: `Window moved on Linux to position (${newX}, ${newY}) with size ${newWidth}x${newHeight}`,
-          newBounds: { x: newX, y: newY, width: newWidth, height: newHeight }
+          newBounds: bounds
         };
       } catch (error) {
         return { success: false, error: `Failed to move window on Linux: ${error.message}. Make sure wmctrl is installed: sudo apt-get install wmctrl` };
@@ -204,77 +692,62 @@ const windowHelpers = {
     }
   },
 
+  // Activates the application, then sets the position and size of one of its
+  // windows. The script text is fixed; the name and the numbers travel as
+  // script arguments.
+  async setMacWindowFrame(activateTarget, tellTarget, windowRef, name, bounds) {
+    await runProcess('osascript', [
+      '-e', 'on run argv',
+      '-e', `tell ${activateTarget} to activate`,
+      '-e', 'delay 0.2',
+      '-e', `tell ${tellTarget} to set position of ${windowRef} to {(item 2 of argv) as integer, (item 3 of argv) as integer}`,
+      '-e', `tell ${tellTarget} to set size of ${windowRef} to {(item 4 of argv) as integer, (item 5 of argv) as integer}`,
+      '-e', 'end run',
+      name,
+      String(Math.round(bounds.x)), String(Math.round(bounds.y)),
+      String(Math.round(bounds.width)), String(Math.round(bounds.height))
+    ]);
+  },
+
   async moveWindowMacOS(targetWindow, newX, newY, newWidth, newHeight) {
-    // Existing macOS AppleScript implementation
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
-    
     const appName = targetWindow.owner.name;
+    const bundleId = targetWindow.owner.bundleId;
+    const bounds = { x: newX, y: newY, width: newWidth, height: newHeight };
+    const moved = (suffix = '') => ({
+      success: true,
+      message: `Window moved to primary screen at position (${newX}, ${newY}) with size ${newWidth}x${newHeight}${suffix}`,
+      newBounds: bounds
+    });
     
     // Special handling for sandboxed apps like Calculator
-    if (appName === 'Calculator' || targetWindow.owner.bundleId === 'com.apple.calculator') {
+    if (appName === 'Calculator' || bundleId === 'com.apple.calculator') {
       return await this.moveWindowUsingRobotJS(targetWindow, newX, newY, newWidth, newHeight);
     }
     
     // Method 1: Try position and size separately (works better with Calculator)
     try {
-      await execAsync(`osascript -e 'tell application "${appName}" to activate'`);
-      await new Promise(resolve => setTimeout(resolve, 200));
-      // Set position and size separately instead of bounds
-      await execAsync(`osascript -e 'tell application "${appName}" to set position of first window to {${newX}, ${newY}}'`);
-      await execAsync(`osascript -e 'tell application "${appName}" to set size of first window to {${newWidth}, ${newHeight}}'`);
-      return { 
-        success: true, 
-        message: `Window moved to primary screen at position (${newX}, ${newY}) with size ${newWidth}x${newHeight}`,
-        newBounds: { x: newX, y: newY, width: newWidth, height: newHeight }
-      };
+      await this.setMacWindowFrame('application (item 1 of argv)', 'application (item 1 of argv)', 'first window', appName, bounds);
+      return moved();
     } catch (simpleError) {
       // Method 2: Try with bundle ID using position and size separately
       try {
-        await execAsync(`osascript -e 'tell application id "${targetWindow.owner.bundleId}" to activate'`);
-        await new Promise(resolve => setTimeout(resolve, 200));
-        await execAsync(`osascript -e 'tell application id "${targetWindow.owner.bundleId}" to set position of first window to {${newX}, ${newY}}'`);
-        await execAsync(`osascript -e 'tell application id "${targetWindow.owner.bundleId}" to set size of first window to {${newWidth}, ${newHeight}}'`);
-        return { 
-          success: true, 
-          message: `Window moved to primary screen at position (${newX}, ${newY}) with size ${newWidth}x${newHeight}`,
-          newBounds: { x: newX, y: newY, width: newWidth, height: newHeight }
-        };
+        if (!bundleId) throw new Error('no bundle id');
+        await this.setMacWindowFrame('application id (item 1 of argv)', 'application id (item 1 of argv)', 'first window', bundleId, bounds);
+        return moved();
       } catch (bundleError) {
         // Method 3: Try System Events with separate commands
         try {
-          // First activate the application
-          await execAsync(`osascript -e 'tell application "${appName}" to activate'`);
-          await new Promise(resolve => setTimeout(resolve, 200));
-          
-          // Then set position and size separately
-          await execAsync(`osascript -e 'tell application "System Events" to tell application process "${appName}" to set position of first window to {${newX}, ${newY}}'`);
-          await execAsync(`osascript -e 'tell application "System Events" to tell application process "${appName}" to set size of first window to {${newWidth}, ${newHeight}}'`);
-          
-          return { 
-            success: true, 
-            message: `Window moved to primary screen at position (${newX}, ${newY}) with size ${newWidth}x${newHeight} (using System Events)`,
-            newBounds: { x: newX, y: newY, width: newWidth, height: newHeight }
-          };
+          await this.setMacWindowFrame('application (item 1 of argv)', 'application "System Events" to tell application process (item 1 of argv)', 'first window', appName, bounds);
+          return moved(' (using System Events)');
         } catch (systemError) {
           // Method 4: Try window by index with System Events
           try {
-            await execAsync(`osascript -e 'tell application "${appName}" to activate'`);
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-            await execAsync(`osascript -e 'tell application "System Events" to tell application process "${appName}" to set position of window 1 to {${newX}, ${newY}}'`);
-            await execAsync(`osascript -e 'tell application "System Events" to tell application process "${appName}" to set size of window 1 to {${newWidth}, ${newHeight}}'`);
-            
-            return { 
-              success: true, 
-              message: `Window moved to primary screen at position (${newX}, ${newY}) with size ${newWidth}x${newHeight} (using System Events window 1)`,
-              newBounds: { x: newX, y: newY, width: newWidth, height: newHeight }
-            };
+            await this.setMacWindowFrame('application (item 1 of argv)', 'application "System Events" to tell application process (item 1 of argv)', 'window 1', appName, bounds);
+            return moved(' (using System Events window 1)');
           } catch (indexError) {
             return { 
               success: false, 
-              error: `Failed to move window with all methods. App: "${appName}", Bundle: "${targetWindow.owner.bundleId}". Errors: Simple: ${simpleError.message}, Bundle: ${bundleError.message}, System Events: ${systemError.message}, Index: ${indexError.message}` 
+              error: `Failed to move window with all methods. App: "${appName}", Bundle: "${bundleId}". Errors: Simple: ${simpleError.message}, Bundle: ${bundleError.message}, System Events: ${systemError.message}, Index: ${indexError.message}` 
             };
           }
         }
@@ -324,309 +797,2858 @@ const windowHelpers = {
         error: `Failed to move window using robotJS: ${error.message}`
       };
     }
+  },
+
+  // Applies a manage_window action to a single window. Bounds are logical screen
+  // coordinates; the caller reads the result back from active-win.
+  async manageWindow(targetWindow, action, options = {}) {
+    try {
+      if (isLinux) {
+        await this.manageWindowLinux(targetWindow, action, options);
+      } else if (isMacOS) {
+        await this.manageWindowMacOS(targetWindow, action, options);
+      } else if (isWindows) {
+        await this.manageWindowWindows(targetWindow, action, options);
+      } else {
+        return { success: false, error: `Window management not implemented for platform: ${platform}` };
+      }
+      return { success: true };
+    } catch (error) {
+      const hint = isLinux ? '. Make sure wmctrl and xdotool are installed: sudo apt-get install wmctrl xdotool' : '';
+      return { success: false, error: `Failed to ${action.replace(/_/g, ' ')} window: ${error.message}${hint}` };
+    }
+  },
+
+  // Bounds of the display a window is on, used where the platform has no direct
+  // maximize or fullscreen call for an arbitrary window
+  async displayBoundsFor(targetWindow) {
+    const displays = await displayHelpers.listDisplays();
+    return displayHelpers.findForBounds(displays, targetWindow.bounds).bounds;
+  },
+
+  // Linux: wmctrl and xdotool address the window by its X11 id, so windows with
+  // identical titles are never confused
+  async manageWindowLinux(targetWindow, action, { x, y, width, height, enabled = true }) {
+    const id = `0x${Number(targetWindow.id).toString(16)}`;
+    const wmctrl = (...args) => runProcess('wmctrl', ['-i', '-r', id, ...args]);
+    const toggle = enabled ? 'add' : 'remove';
+
+    switch (action) {
+      case 'set_bounds':
+        // A maximized window ignores move/resize requests until it is unmaximized
+        await wmctrl('-b', 'remove,maximized_vert,maximized_horz');
+        await wmctrl('-e', `0,${x},${y},${width},${height}`);
+        break;
+      case 'minimize':
+        await runProcess('xdotool', ['windowminimize', String(targetWindow.id)]);
+        break;
+      case 'maximize':
+        await wmctrl('-b', 'add,maximized_vert,maximized_horz');
+        break;
+      case 'restore':
+        await wmctrl('-b', 'remove,fullscreen');
+        await wmctrl('-b', 'remove,maximized_vert,maximized_horz');
+        // Activating also de-iconifies a minimized window
+        await runProcess('wmctrl', ['-i', '-a', id]);
+        break;
+      case 'fullscreen':
+        await wmctrl('-b', `${toggle},fullscreen`);
+        break;
+      case 'close':
+        await runProcess('wmctrl', ['-i', '-c', id]);
+        break;
+      case 'raise':
+        try {
+          await runProcess('wmctrl', ['-i', '-a', id]);
+        } catch (wmctrlError) {
+          await runProcess('xdotool', ['windowactivate', String(targetWindow.id)]);
+        }
+        break;
+      case 'always_on_top':
+        await wmctrl('-b', `${toggle},above`);
+        break;
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  },
+
+  // macOS: System Events on the owning process. The window is matched by title,
+  // falling back to the front window of the process.
+  async manageWindowMacOS(targetWindow, action, { x, y, width, height, enabled = true }) {
+    if (action === 'always_on_top') {
+      throw new Error('always-on-top is not available for other applications\' windows on macOS');
+    }
+
+    let bounds = { x, y, width, height };
+    if (action === 'maximize') {
+      bounds = await this.displayBoundsFor(targetWindow);
+      action = 'set_bounds';
+    }
+
+    const script = [
+      'on run argv',
+      '  set {processName, windowTitle, action, argX, argY, argWidth, argHeight, enabled} to argv',
+      '  tell application "System Events" to tell application process processName',
+      '    set targetWindow to window 1',
+      '    if windowTitle is not "" then',
+      '      try',
+      '        set targetWindow to window windowTitle',
+      '      end try',
+      '    end if',
+      '    if action is "set_bounds" then',
+      '      set position of targetWindow to {argX as integer, argY as integer}',
+      '      set size of targetWindow to {argWidth as integer, argHeight as integer}',
+      '    else if action is "minimize" then',
+      '      set value of attribute "AXMinimized" of targetWindow to true',
+      '    else if action is "restore" then',
+      '      set value of attribute "AXMinimized" of targetWindow to false',
+      '      set value of attribute "AXFullScreen" of targetWindow to false',
+      '    else if action is "fullscreen" then',
+      '      set value of attribute "AXFullScreen" of targetWindow to (enabled is "true")',
+      '    else if action is "close" then',
+      '      click (first button of targetWindow whose subrole is "AXCloseButton")',
+      '    else if action is "raise" then',
+      '      set frontmost to true',
+      '      perform action "AXRaise" of targetWindow',
+      '    end if',
+      '  end tell',
+      'end run'
+    ].join('\n');
+
+    await runProcess('osascript', [
+      '-e', script,
+      targetWindow.owner.name, targetWindow.title || '', action,
+      String(bounds.x || 0), String(bounds.y || 0), String(bounds.width || 0), String(bounds.height || 0),
+      String(enabled)
+    ]);
+  },
+
+  // Windows: Win32 calls on the window handle (the id active-win reports). Values
+  // are passed through the environment rather than spliced into the script.
+  async manageWindowWindows(targetWindow, action, { x, y, width, height, enabled = true }) {
+    let bounds = { x, y, width, height };
+    if (action === 'fullscreen') {
+      // There is no system fullscreen state; cover the display, or restore to leave it
+      if (enabled) {
+        bounds = await this.displayBoundsFor(targetWindow);
+        action = 'set_bounds';
+      } else {
+        action = 'restore';
+      }
+    }
+
+    const script = [
+      'Add-Type -TypeDefinition \'using System; using System.Runtime.InteropServices; public class Win32Window { [DllImport("user32.dll")] public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow); [DllImport("user32.dll")] public static extern bool SetWindowPos(IntPtr hWnd, IntPtr hWndInsertAfter, int x, int y, int cx, int cy, uint uFlags); [DllImport("user32.dll")] public static extern bool SetForegroundWindow(IntPtr hWnd); [DllImport("user32.dll")] public static extern bool PostMessage(IntPtr hWnd, uint msg, IntPtr wParam, IntPtr lParam); }\';',
+      '$handle = [IntPtr][long]$env:MCP_WINDOW_HANDLE;',
+      'switch ($env:MCP_WINDOW_ACTION) {',
+      '  "set_bounds" { [void][Win32Window]::ShowWindow($handle, 9); [void][Win32Window]::SetWindowPos($handle, [IntPtr]::Zero, [int]$env:MCP_WINDOW_X, [int]$env:MCP_WINDOW_Y, [int]$env:MCP_WINDOW_WIDTH, [int]$env:MCP_WINDOW_HEIGHT, 0x0044) }',
+      '  "minimize" { [void][Win32Window]::ShowWindow($handle, 6) }',
+      '  "maximize" { [void][Win32Window]::ShowWindow($handle, 3) }',
+      '  "restore" { [void][Win32Window]::ShowWindow($handle, 9) }',
+      '  "close" { [void][Win32Window]::PostMessage($handle, 0x0010, [IntPtr]::Zero, [IntPtr]::Zero) }',
+      '  "raise" { [void][Win32Window]::ShowWindow($handle, 9); [void][Win32Window]::SetForegroundWindow($handle) }',
+      '  "always_on_top" { $after = if ($env:MCP_WINDOW_ENABLED -eq "true") { [IntPtr](-1) } else { [IntPtr](-2) }; [void][Win32Window]::SetWindowPos($handle, $after, 0, 0, 0, 0, 0x0003) }',
+      '}'
+    ].join('\n');
+
+    await runProcess('powershell', ['-NoProfile', '-Command', script], {
+      env: {
+        MCP_WINDOW_HANDLE: String(targetWindow.id),
+        MCP_WINDOW_ACTION: action,
+        MCP_WINDOW_X: String(bounds.x || 0),
+        MCP_WINDOW_Y: String(bounds.y || 0),
+        MCP_WINDOW_WIDTH: String(bounds.width || 0),
+        MCP_WINDOW_HEIGHT: String(bounds.height || 0),
+        MCP_WINDOW_ENABLED: String(enabled)
+      }
+    });
   }
 };
 
-// Implementation of capabilities
-const capabilityImplementations = {
-  screen_capture: async (params = {}) => {
+// Display enumeration for multi-monitor setups. Bounds are in logical screen
+// coordinates (the space robotjs and window bounds use).
+const displayHelpers = {
+  cache: null,
+  cacheMs: 10000,
+
+  // Reads display frames and backing scale factors from AppKit. NSScreen uses a
+  // bottom-left origin relative to the primary display, so y is flipped.
+  async listMacScreens() {
+    const script = `
+      ObjC.import('AppKit');
+      const screens = $.NSScreen.screens;
+      const result = [];
+      for (let i = 0; i < screens.count; i++) {
+        const screen = screens.objectAtIndex(i);
+        const frame = screen.frame;
+        result.push({
+          name: ObjC.unwrap(screen.localizedName) || 'Display ' + (i + 1),
+          x: frame.origin.x, y: frame.origin.y,
+          width: frame.size.width, height: frame.size.height,
+          scaleFactor: screen.backingScaleFactor
+        });
+      }
+      JSON.stringify(result);
+    `;
+    const screens = JSON.parse(await runProcess('osascript', ['-l', 'JavaScript', '-e', script]));
+    const primaryHeight = screens.length > 0 ? screens[0].height : 0;
+    return screens.map(screen => ({
+      ...screen,
+      y: primaryHeight - (screen.y + screen.height)
+    }));
+  },
+
+  // Lists displays for the native backend as [{ id, name, primary, bounds, scaleFactor }].
+  // id is the screenshot-desktop display id (xrandr output name on Linux, device
+  // name on Windows, display index on macOS).
+  async listNativeDisplays() {
+    const listed = await require('screenshot-desktop').listDisplays();
+
+    if (isMacOS) {
+      // screenshot-desktop only knows names on macOS; both lists are ordered primary first
+      const screens = await this.listMacScreens();
+      return listed.map((display, index) => {
+        const screen = screens[index];
+        return {
+          id: display.id,
+          name: display.name,
+          primary: Boolean(display.primary) || index === 0,
+          bounds: screen
+            ? { x: screen.x, y: screen.y, width: screen.width, height: screen.height }
+            : null,
+          scaleFactor: screen ? screen.scaleFactor : null
+        };
+      }).filter(display => display.bounds);
+    } else if (isWindows) {
+      return listed.map(display => ({
+        id: display.id,
+        name: display.name,
+        primary: display.left === 0 && display.top === 0,
+        bounds: { x: display.left, y: display.top, width: display.width, height: display.height },
+        scaleFactor: display.dpiScale || 1
+      }));
+    } else {
+      // xrandr reports X11 screen coordinates, which are not scaled per display
+      return listed.map(display => ({
+        id: display.id,
+        name: display.name,
+        primary: Boolean(display.primary),
+        bounds: { x: display.offsetX || 0, y: display.offsetY || 0, width: display.width, height: display.height },
+        scaleFactor: 1
+      }));
+    }
+  },
+
+  // Returns [{ id, name, primary, bounds, scaleFactor }] with the primary display first
+  async listDisplays({ refresh = false } = {}) {
+    if (!refresh && this.cache && Date.now() - this.cache.timestamp < this.cacheMs) {
+      return this.cache.displays;
+    }
+
+    let displays = [];
     try {
-      // Take a screenshot (compress to JPEG to reduce size)
-      let img = await screenshot({ format: 'jpg' });
-      const sharp = require('sharp');
-      
-      // Get initial metadata
-      const metadata = await sharp(img).metadata();
-      const screenSize = robot.getScreenSize();
-      
-      // Calculate scaling factor for Retina detection
-      const scaleX = metadata.width / screenSize.width;
-      const scaleY = metadata.height / screenSize.height;
-      const isHighDPI = scaleX > 1.5 || scaleY > 1.5;
-      
-      let sharpInstance = sharp(img);
-      
-      // If coordinates are provided, crop the image first
-      if (params.x1 !== undefined && params.y1 !== undefined && 
-          params.x2 !== undefined && params.y2 !== undefined) {
-        
-        let scaledX1, scaledY1, scaledX2, scaledY2;
-        
-        if (isHighDPI) {
-          // Apply scaling for high-DPI displays (Retina)
-          scaledX1 = Math.round(params.x1 * scaleX);
-          scaledY1 = Math.round(params.y1 * scaleY);
-          scaledX2 = Math.round(params.x2 * scaleX);
-          scaledY2 = Math.round(params.y2 * scaleY);
-        } else {
-          // Use coordinates as-is for standard displays
-          scaledX1 = params.x1;
-          scaledY1 = params.y1;
-          scaledX2 = params.x2;
-          scaledY2 = params.y2;
-        }
-        
-        const width = scaledX2 - scaledX1;
-        const height = scaledY2 - scaledY1;
-        
-        if (width <= 0 || height <= 0) {
-          throw new Error('Invalid coordinates: x2 must be greater than x1 and y2 must be greater than y1');
-        }
-        
-        sharpInstance = sharpInstance.extract({
-          left: scaledX1,
-          top: scaledY1,
-          width: width,
-          height: height
-        });
-      }
-      
-      // Always apply AI optimization for faster processing
-      // Get current dimensions (after potential cropping)
-      const currentMeta = await sharpInstance.metadata();
-      const currentWidth = currentMeta.width;
-      const currentHeight = currentMeta.height;
-      
-      // Scale to 50% of original size, but cap at 1280x720 for much smaller responses
-      const targetWidth = Math.min(Math.round(currentWidth * 0.5), 1280);
-      const targetHeight = Math.min(Math.round(currentHeight * 0.5), 720);
-      
-      // Only resize if the target is smaller than current
-      if (targetWidth < currentWidth || targetHeight < currentHeight) {
-        sharpInstance = sharpInstance.resize(targetWidth, targetHeight, {
-          fit: 'inside',
-          withoutEnlargement: true
-        });
-      }
-      
-      // Apply very aggressive WebP compression for AI processing
-      img = await sharpInstance.webp({ quality: 15, effort: 0 }).toBuffer();
-      
-      // Check final size and abort if too large (stay well under 1MB limit)
-      const sizeKB = img.length / 1024;
-      if (sizeKB > 300) {
-        return { success: false, error: `Screenshot too large: ${sizeKB.toFixed(1)}KB (max 300KB). Try capturing a smaller area or window.` };
+      displays = await backend.capture.listDisplays();
+    } catch (error) {
+      debugLog(`DISPLAYS DEBUG: listing displays failed: ${error.message}\n`);
+      displays = [];
+    }
+
+    // Fall back to the primary screen as reported by robotjs
+    if (displays.length === 0) {
+      const size = robot.getScreenSize();
+      displays = [{
+        id: null,
+        name: 'primary',
+        primary: true,
+        bounds: { x: 0, y: 0, width: size.width, height: size.height },
+        scaleFactor: null
+      }];
+    } else if (!displays.some(display => display.primary)) {
+      displays[0].primary = true;
+    }
+
+    displays.sort((a, b) => Number(b.primary) - Number(a.primary));
+    this.cache = { displays, timestamp: Date.now() };
+    return displays;
+  },
+
+  findById(displays, displayId) {
+    return displays.find(display => String(display.id) === String(displayId));
+  },
+
+  // Returns the display containing the center of the given bounds, or the
+  // display with the largest overlap when the center is off all displays
+  findForBounds(displays, bounds) {
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+    const containing = displays.find(({ bounds: d }) =>
+      centerX >= d.x && centerX < d.x + d.width && centerY >= d.y && centerY < d.y + d.height);
+    if (containing) {
+      return containing;
+    }
+
+    let best = displays[0];
+    let bestArea = -1;
+    for (const display of displays) {
+      const d = display.bounds;
+      const overlapWidth = Math.min(bounds.x + bounds.width, d.x + d.width) - Math.max(bounds.x, d.x);
+      const overlapHeight = Math.min(bounds.y + bounds.height, d.y + d.height) - Math.max(bounds.y, d.y);
+      const area = Math.max(0, overlapWidth) * Math.max(0, overlapHeight);
+      if (area > bestArea) {
+        best = display;
+        bestArea = area;
       }
-      
-      const imgInBase64 = img.toString('base64');
-      const timestamp = Math.floor(Date.now() / 1000);
-      const screenshotKey = `screenshot-${timestamp}`;
+    }
+    return best;
+  },
 
-      screenshots[screenshotKey] = imgInBase64;
-      await server.server.sendResourceListChanged();
-      
-      // Calculate actual AI image dimensions
-      const finalMeta = await sharp(img).metadata();
-      const aiImageWidth = finalMeta.width;
-      const aiImageHeight = finalMeta.height;
-      
-      // Store screen capture metadata for coordinate transformations
-      // We will assume the AI sees the image at the size we report.
-      const aiActualWidth = aiImageWidth;
-      const aiActualHeight = aiImageHeight;
-      
-      const screenCaptureMetadata = {
-        originalSize: { width: metadata.width, height: metadata.height },
-        logicalScreenSize: { width: screenSize.width, height: screenSize.height },
-        reportedAiSize: { width: aiImageWidth, height: aiImageHeight },
-        aiImageSize: { width: aiActualWidth, height: aiActualHeight }, // What AI actually sees
-        timestamp: Date.now()
-      };
-      
-      // Store in global for mouse_move to access
-      if (!global.screenCaptureMetadata) {
-        global.screenCaptureMetadata = {};
+  // Describes where a display sits relative to the primary display
+  describeLocation(display, primary) {
+    if (display.primary) {
+      return 'primary';
+    }
+    const d = display.bounds;
+    const p = primary.bounds;
+    if (d.x + d.width <= p.x) return 'secondary-left';
+    if (d.x >= p.x + p.width) return 'secondary-right';
+    if (d.y + d.height <= p.y) return 'secondary-top';
+    if (d.y >= p.y + p.height) return 'secondary-bottom';
+    return 'secondary-unknown';
+  },
+
+  // Captures one display in physical pixels, as JPEG unless format is 'png'
+  async capture(display, format = 'jpg') {
+    if (!display || display.id === null || display.id === undefined) {
+      return backend.capture.screenshot({ format });
+    }
+    return backend.capture.screenshot({ format, screen: display.id });
+  }
+};
+
+// Window selectors pick a window by its properties instead of its windowId, so
+// a macro keeps working after the application restarts and its ids change.
+const windowSelectors = {
+  maxTitlePatternLength: 200,
+
+  // Compiles a title pattern. It runs against every window title on every
+  // resolve, so long patterns and patterns that can backtrack catastrophically
+  // (a repeated group that itself repeats or has alternatives, like (a+)+ or
+  // (a|ab)*) are refused.
+  compileTitlePattern(pattern) {
+    if (pattern.length > this.maxTitlePatternLength) {
+      throw new Error(`Title pattern is longer than ${this.maxTitlePatternLength} characters. Use titleContains for long literal titles.`);
+    }
+    if (/\((?:[^()\\]|\\.)*(?:[*+|]|\{\d+,)(?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,)/.test(pattern)) {
+      throw new Error(`Title pattern "${pattern}" repeats a group that itself repeats or has alternatives, which can take exponential time. Simplify it or use titleContains.`);
+    }
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid title pattern: ${error.message}`);
+    }
+  },
+
+  // Returns the windows matching every criterion of the selector, in window list order
+  async filter(windows, selector = {}) {
+    const context = { titlePattern: null, displays: null, activeId: null };
+    if (selector.title !== undefined) {
+      context.titlePattern = this.compileTitlePattern(selector.title);
+    }
+    if (selector.onScreen) {
+      context.displays = await displayHelpers.listDisplays();
+    }
+    if (selector.active) {
+      const active = await backend.windows.getActiveWindow();
+      context.activeId = active ? active.id : null;
+    }
+    return windows.filter(window => this.matches(window, selector, context));
+  },
+
+  matches(window, selector, { titlePattern, displays, activeId }) {
+    if (!window || !window.id) return false;
+    const bounds = window.bounds || { x: 0, y: 0, width: 0, height: 0 };
+    const owner = selector.owner && selector.owner.toLowerCase();
+    if (titlePattern && !titlePattern.test(window.title || '')) return false;
+    if (selector.titleContains !== undefined && !(window.title || '').toLowerCase().includes(selector.titleContains.toLowerCase())) return false;
+    if (owner && (window.owner?.name || '').toLowerCase() !== owner && (window.owner?.bundleId || '').toLowerCase() !== owner) return false;
+    if (selector.pid !== undefined && window.owner?.processId !== selector.pid) return false;
+    if (selector.path && !(window.owner?.path || '').includes(selector.path)) return false;
+    if (selector.minWidth && bounds.width < selector.minWidth) return false;
+    if (selector.minHeight && bounds.height < selector.minHeight) return false;
+    if (displays && !displays.some(display => this.overlaps(bounds, display.bounds))) return false;
+    if (selector.active && window.id !== activeId) return false;
+    return true;
+  },
+
+  overlaps(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+  },
+
+  // Resolves a selector to exactly one window. Several matches are an error
+  // listing the candidates, unless the selector picks one with index.
+  async resolve(selector) {
+    const windows = await backend.windows.getOpenWindows();
+
+    if (!windows || !Array.isArray(windows)) {
+      return { success: false, error: 'Failed to get window list - getOpenWindows() returned null or invalid data' };
+    }
+
+    let matches;
+    try {
+      matches = await this.filter(windows, selector);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const criteria = JSON.stringify(selector);
+
+    if (matches.length === 0) {
+      return { success: false, error: `No window matches selector ${criteria}` };
+    }
+    if (selector.index !== undefined) {
+      if (selector.index >= matches.length) {
+        return { success: false, error: `Selector ${criteria} has index ${selector.index}, but only ${matches.length} window(s) match` };
       }
-      global.lastScreenCapture = screenCaptureMetadata;
-      
+      return { success: true, window: matches[selector.index] };
+    }
+    if (matches.length > 1) {
       return {
-        content: [
-          {
-            type: "text",
-            text: `Screenshot ${screenshotKey} taken. Screen size: ${screenSize.width}x${screenSize.height}, AI sees: ${aiImageWidth}x${aiImageHeight}`,
-          },
-          {
-            type: "image",
-            mimeType: "image/webp",
-            data: imgInBase64,
-          },
-        ],
-        isError: false
+        success: false,
+        error: `${matches.length} windows match selector ${criteria}. Narrow it down, add an index, or use one of the candidate windowIds.`,
+        candidates: matches.map(window => ({
+          id: window.id,
+          title: window.title || 'Untitled',
+          owner: window.owner?.name || 'Unknown',
+          processId: window.owner?.processId || 0,
+          bounds: window.bounds,
+          selector: this.stableSelector(window, windows)
+        }))
       };
-    } catch (error) {
-      // Error captured silently to avoid interfering with MCP protocol
-      return { success: false, error: error.message };
     }
+    return { success: true, window: matches[0] };
   },
 
-  mouse_move: async (params) => {
-    try {
-      const { x, y, debug = false, windowId } = params;
-      
-      // Add a timestamped log to mark the beginning of the function call
-      const timestamp = new Date().toISOString();
-      debugLog(`\n--- MOUSE_MOVE START ${timestamp} ---\n`, debug);
-      debugLog(`Params: ${JSON.stringify(params)}\n`, debug);
-      
-      // Store original coordinates for debug visualization
-      const originalX = x;
-      const originalY = y;
-      
-      let moveX = x;
-      let moveY = y;
-      
-      // Always focus window first if windowId is provided
-      const focusResult = await capabilityImplementations.focus_window({ windowId });
-      if (!focusResult.success) {
-        return focusResult;
+  // Builds a selector that finds this window again after a restart: the owning
+  // application plus the exact title, with an index when that is still ambiguous
+  stableSelector(window, windows) {
+    const selector = {};
+    if (window.owner?.name || window.owner?.bundleId) {
+      selector.owner = window.owner.name || window.owner.bundleId;
+    }
+    if (window.title) {
+      const exact = `^${window.title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+      // Very long titles fall back to a substring match
+      if (exact.length <= this.maxTitlePatternLength) {
+        selector.title = exact;
+      } else {
+        selector.titleContains = window.title;
       }
-      // Wait for window to focus
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      // We only support window-relative coordinates now, as it's the only reliable method.
-      
-      if (!windowId) {
-        return { success: false, error: 'windowId is a required parameter for mouse_move.' };
+    }
+
+    const context = { titlePattern: selector.title ? new RegExp(selector.title, 'i') : null };
+    const matches = windows.filter(other => this.matches(other, selector, context));
+    if (matches.length > 1) {
+      selector.index = matches.findIndex(other => other.id === window.id);
+    }
+    return selector;
+  }
+};
+
+// Platform backends. Every call the tools make into the operating system goes
+// through one of five parts of the selected backend:
+//   input     - robotjs-compatible mouse, keyboard, screen size and pixel calls
+//   windows   - active-win style window list plus focus, move and manage actions
+//   capture   - display listing and screenshot-desktop style display captures
+//   clipboard - text, HTML and PNG image reads and writes
+//   process   - helper commands (run), launched applications (spawn) and signals (kill)
+// The native backend is the default. --backend=simulated replaces the desktop
+// with an in-memory one, so the tools can run on a machine without a display.
+const createNativeBackend = () => ({
+  name: 'native',
+  input: require('robotjs'),
+  windows: {
+    getOpenWindows: () => require('active-win').getOpenWindows(),
+    getActiveWindow: () => require('active-win')(),
+    focusWindow: (window) => windowHelpers.focusWindow(window),
+    moveWindow: (window, x, y, width, height) => windowHelpers.moveWindow(window, x, y, width, height),
+    manageWindow: (window, action, options) => windowHelpers.manageWindow(window, action, options)
+  },
+  capture: {
+    listDisplays: () => displayHelpers.listNativeDisplays(),
+    screenshot: (options) => require('screenshot-desktop')(options)
+  },
+  clipboard: {
+    readText: () => clipboardHelpers.readText(),
+    writeText: (text) => clipboardHelpers.writeText(text),
+    readHtml: () => clipboardHelpers.readHtml(),
+    writeHtml: (html) => clipboardHelpers.writeHtml(html),
+    readImage: () => clipboardHelpers.readImage(),
+    writeImage: (png) => clipboardHelpers.writeImage(png)
+  },
+  process: {
+    run: (file, args, options) => runProcess(file, args, options),
+    spawn: (file, args, options) => require('child_process').spawn(file, args, options),
+    kill: (pid, signal) => process.kill(pid, signal)
+  }
+});
+
+// Simulated desktop: displays, windows and the clipboard live in memory, windows
+// are drawn as solid colors or images, and every input event is recorded.
+// Helper commands are recorded instead of run, and launched applications are
+// fake processes that open a window. The layout comes from the
+// --simulated-desktop JSON file, or a single 1920x1080 display.
+const createSimulatedBackend = () => {
+  const simulation = {
+    displays: [{ id: 0, name: 'Simulated display', primary: true, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, scaleFactor: 1 }],
+    background: '#1e1e1e',
+    // Front to back, like active-win
+    windows: [],
+    mouse: { x: 0, y: 0 },
+    clipboard: { text: '', html: null, image: null },
+    // Windows opened by launched applications, keyed by command or its basename
+    apps: {},
+    events: [],
+    maxEvents: 1000,
+    nextId: 1,
+
+    // Reads the desktop layout. Windows may name an image file, which is decoded
+    // once so pixel reads stay synchronous like robotjs.
+    async load(file) {
+      const spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const baseDir = path.dirname(path.resolve(file));
+      if (Array.isArray(spec.displays) && spec.displays.length > 0) {
+        this.displays = spec.displays.map((display, index) => ({
+          id: display.id ?? index,
+          name: display.name || `Simulated display ${index + 1}`,
+          primary: Boolean(display.primary) || index === 0,
+          bounds: display.bounds,
+          scaleFactor: display.scaleFactor || 1
+        }));
       }
-      
-      // Get or create metadata for this window
-      let metadata;
-      if (!global.windowCaptureMetadata || !global.windowCaptureMetadata[windowId]) {
-        debugLog(`No window capture metadata found for window ${windowId}, creating basic metadata for coordinate transformation\n`, debug);
-        
-        // Get window information to create basic metadata
-        const activeWin = require('active-win');
-        const windows = await activeWin.getOpenWindows();
-        const targetWindow = windows.find(w => w && w.id === windowId);
-        
-        if (!targetWindow) {
-          return { success: false, error: `Window not found with ID: ${windowId}` };
-        }
-        
-        // Create basic metadata assuming no AI image scaling (1:1 coordinate mapping)
-        metadata = {
-          windowId: windowId,
-          originalLogicalSize: { width: targetWindow.bounds.width, height: targetWindow.bounds.height },
-          aiImageSize: { width: targetWindow.bounds.width, height: targetWindow.bounds.height },
-          timestamp: Date.now()
-        };
-        
-        // Store it for future use
-        if (!global.windowCaptureMetadata) {
-          global.windowCaptureMetadata = {};
-        }
-        global.windowCaptureMetadata[windowId] = metadata;
-        
-        debugLog(`Created basic metadata for window ${windowId}: ${JSON.stringify(metadata)}\n`, debug);
-      } else {
-        metadata = global.windowCaptureMetadata[windowId];
-        const age = Date.now() - metadata.timestamp;
-        
-        if (age > 5 * 60 * 1000) {
-          debugLog(`Window capture metadata is stale (${(age/1000).toFixed(1)}s old), creating fresh basic metadata\n`, debug);
-          
-          // Refresh with basic metadata
-          const activeWin = require('active-win');
-          const windows = await activeWin.getOpenWindows();
-          const targetWindow = windows.find(w => w && w.id === windowId);
-          
-          if (!targetWindow) {
-            return { success: false, error: `Window not found with ID: ${windowId}` };
-          }
-          
-          metadata = {
-            windowId: windowId,
-            originalLogicalSize: { width: targetWindow.bounds.width, height: targetWindow.bounds.height },
-            aiImageSize: { width: targetWindow.bounds.width, height: targetWindow.bounds.height },
-            timestamp: Date.now()
-          };
-          
-          global.windowCaptureMetadata[windowId] = metadata;
-          debugLog(`Refreshed basic metadata for window ${windowId}\n`, debug);
-        }
+      if (spec.background) this.background = spec.background;
+      // addWindow puts each window on top, so add them back to front
+      for (const window of [...(spec.windows || [])].reverse()) {
+        await this.addWindow({ ...window, image: window.image ? path.resolve(baseDir, window.image) : undefined });
       }
-      
-      // Get current window information (we might have it from metadata creation above)
-      const activeWin = require('active-win');
-      const windows = await activeWin.getOpenWindows();
-      const targetWindow = windows.find(w => w && w.id === windowId);
-      
-      if (!targetWindow) {
-        return { success: false, error: `Window not found for coordinate conversion with ID: ${windowId}` };
+      for (const [command, window] of Object.entries(spec.apps || {})) {
+        this.apps[command] = window && window.image ? { ...window, image: path.resolve(baseDir, window.image) } : window;
       }
-      
-      // Title bar height removed - no longer needed for coordinate calculations
+    },
 
-      // The scaling factor is the ratio of the window's original logical size 
-      // to the final size of the image that was sent to the AI.
-      const scaleX = metadata.originalLogicalSize.width / metadata.aiImageSize.width;
-      const scaleY = metadata.originalLogicalSize.height / metadata.aiImageSize.height;
+    // Adds a window on top of the others. image is a file path or a Buffer in
+    // any format sharp reads; without one the window is filled with color.
+    async addWindow({ id, title = '', owner = {}, bounds, color = '#ffffff', image } = {}) {
+      const window = {
+        id: id ?? this.nextId,
+        title,
+        owner: { name: owner.name || 'Simulated', processId: owner.processId || 0, path: owner.path || '', bundleId: owner.bundleId || '' },
+        bounds: { x: 0, y: 0, width: 400, height: 300, ...bounds },
+        color,
+        image: null,
+        minimized: false,
+        alwaysOnTop: false,
+        restoreBounds: null
+      };
+      this.nextId = Math.max(this.nextId, window.id + 1);
+      if (image) {
+        const sharp = require('sharp');
+        const { data, info } = await sharp(image).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+        window.image = { data, width: info.width, height: info.height };
+      }
+      this.windows = this.windows.filter(w => w.id !== window.id);
+      this.windows.unshift(window);
+      return window;
+    },
 
-      // Scale the AI's coordinates to find the position within the logical window
-      let scaledX = Math.round(x * scaleX);
-      let scaledY = Math.round(y * scaleY);
+    find(id) {
+      return this.windows.find(window => window.id === id);
+    },
 
-      // Add the window's origin to get the final screen coordinates.
-      moveX = targetWindow.bounds.x + scaledX;
-      moveY = targetWindow.bounds.y + scaledY;
+    raise(id) {
+      const window = this.find(id);
+      if (window) {
+        window.minimized = false;
+        this.windows = [window, ...this.windows.filter(w => w !== window)];
+      }
+    },
 
-      // Log the complete transformation for easy debugging
-      const logTimestamp = new Date().toISOString();
-      debugLog(`\n=== MOUSE_MOVE_TRANSFORM ${logTimestamp} ===\n`, debug);
-      debugLog(`  - AI Coords: (${x}, ${y})\n`, debug);
-      debugLog(`  - AI Image Size: ${metadata.aiImageSize.width}x${metadata.aiImageSize.height}\n`, debug);
-      debugLog(`  - Logical Window Size: ${metadata.originalLogicalSize.width}x${metadata.originalLogicalSize.height}\n`, debug);
-      debugLog(`  - Scale Factors: X=${scaleX.toFixed(3)}, Y=${scaleY.toFixed(3)}\n`, debug);
-      debugLog(`  - Scaled Coords: (${scaledX}, ${scaledY})\n`, debug);
-      debugLog(`  - Window Origin: (${targetWindow.bounds.x}, ${targetWindow.bounds.y})\n`, debug);
-      debugLog(`  - Final Screen Coords: (${moveX}, ${moveY})\n`, debug);
-      
-      robot.moveMouse(moveX, moveY);
-      
-      if (debug) {
-        const sharp = require('sharp');
-        const timestamp = Date.now();
-        
-        // First, if windowInsideCoordinates, capture and save the window with intended click point
-        try {
-          debugLog(`DEBUG: Attempting to capture window ${windowId} for debug...\n`, debug);
-          
-          const windowCapture = await capabilityImplementations.window_capture({ windowId });
-          
-          if (!windowCapture || windowCapture.isError) {
-            debugLog(`DEBUG: Window capture failed: ${windowCapture ? windowCapture.error : 'null response'}\n`, debug);
-          } else if (windowCapture.content && windowCapture.content[1]) {
-            const windowImgBuffer = Buffer.from(windowCapture.content[1].data, 'base64');
-            
-            // Get metadata to understand the image size
-            const windowMeta = await sharp(windowImgBuffer).metadata();
-            debugLog(`DEBUG: Window image size: ${windowMeta.width}x${windowMeta.height}, format: ${windowMeta.format}\n`, debug);
-            
-            // Create a red circle at the intended click position
-            const circleSize = 10;
-            
-            // The debug window image size should match the AI image size from metadata
-            const scaleFactorForDebugX = windowMeta.width / metadata.aiImageSize.width;
-            const scaleFactorForDebugY = windowMeta.height / metadata.aiImageSize.height;
-            
-            debugLog(`DEBUG: Using metadata scale - Window debug image: ${windowMeta.width}x${windowMeta.height}, AI saw: ${metadata.aiImageSize.width}x${metadata.aiImageSize.height}\n`, debug);
-            
-            const scaledX = Math.round(originalX * scaleFactorForDebugX);
-            const scaledY = Math.round(originalY * scaleFactorForDebugY);
-            
-            debugLog(`DEBUG: Original AI coordinates: (${originalX}, ${originalY}), Scaled for window capture: (${scaledX}, ${scaledY})\n`, debug);
-            debugLog(`DEBUG: Circle will be placed at top=${Math.round(scaledY - circleSize/2)}, left=${Math.round(scaledX - circleSize/2)}\n`, debug);
-            
-            const circle = Buffer.from(
-              `<svg width="${circleSize}" height="${circleSize}">
-                <circle cx="${circleSize/2}" cy="${circleSize/2}" r="${circleSize/2-1}" 
-                        fill="red" fill-opacity="0.7" stroke="darkred" stroke-width="2"/>
-                <circle cx="${circleSize/2}" cy="${circleSize/2}" r="1" fill="white"/>
-              </svg>`
-            );
-            
-            // Mark the intended position in the window capture with scaled coordinates
-            const markedWindow = await sharp(windowImgBuffer)
+    // Topmost visible window under a screen point
+    windowAt(x, y) {
+      return this.windows.find(window => {
+        const b = window.bounds;
+        return !window.minimized && x >= b.x && x < b.x + b.width && y >= b.y && y < b.y + b.height;
+      }) || null;
+    },
+
+    record(type, details = {}) {
+      const target = this.windowAt(this.mouse.x, this.mouse.y);
+      this.events.push({ type, ...details, mouse: { ...this.mouse }, windowId: target ? target.id : null, timestamp: Date.now() });
+      if (this.events.length > this.maxEvents) {
+        this.events.splice(0, this.events.length - this.maxEvents);
+      }
+    },
+
+    describeWindow(window) {
+      return { id: window.id, title: window.title, owner: { ...window.owner }, bounds: { ...window.bounds }, memoryUsage: 0 };
+    },
+
+    // Renders one display, back to front, as a JPEG (or PNG) in physical pixels
+    async renderDisplay(display, format = 'jpg') {
+      const sharp = require('sharp');
+      const scale = display.scaleFactor || 1;
+      const d = display.bounds;
+      const layers = [];
+      for (const window of [...this.windows].reverse()) {
+        if (window.minimized) continue;
+        const b = window.bounds;
+        const left = Math.max(b.x, d.x);
+        const top = Math.max(b.y, d.y);
+        const right = Math.min(b.x + b.width, d.x + d.width);
+        const bottom = Math.min(b.y + b.height, d.y + d.height);
+        if (right <= left || bottom <= top) continue;
+
+        const fullWidth = Math.round(b.width * scale);
+        const fullHeight = Math.round(b.height * scale);
+        const rendered = window.image
+          ? sharp(window.image.data, { raw: { width: window.image.width, height: window.image.height, channels: 3 } }).resize(fullWidth, fullHeight, { fit: 'fill' })
+          : sharp({ create: { width: fullWidth, height: fullHeight, channels: 3, background: window.color } });
+        // Only the part of the window that lies on this display
+        const extractLeft = Math.round((left - b.x) * scale);
+        const extractTop = Math.round((top - b.y) * scale);
+        const extract = {
+          left: extractLeft,
+          top: extractTop,
+          width: Math.min(Math.round((right - left) * scale), fullWidth - extractLeft),
+          height: Math.min(Math.round((bottom - top) * scale), fullHeight - extractTop)
+        };
+        layers.push({
+          input: await rendered.extract(extract).png().toBuffer(),
+          left: Math.round((left - d.x) * scale),
+          top: Math.round((top - d.y) * scale)
+        });
+      }
+      const image = sharp({ create: { width: Math.round(d.width * scale), height: Math.round(d.height * scale), channels: 3, background: this.background } })
+        .composite(layers);
+      return (format === 'png' ? image.png() : image.jpeg({ quality: 95 })).toBuffer();
+    }
+  };
+
+  const colorHex = (color) => {
+    const { r, g, b } = imageHelpers.parseColor(color);
+    return [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+  };
+
+  const input = {
+    moveMouse(x, y) {
+      simulation.mouse = { x: Math.round(x), y: Math.round(y) };
+      simulation.record('moveMouse', { x: simulation.mouse.x, y: simulation.mouse.y });
+    },
+    getMousePos() {
+      return { ...simulation.mouse };
+    },
+    mouseClick(button = 'left', double = false) {
+      const target = simulation.windowAt(simulation.mouse.x, simulation.mouse.y);
+      if (target) simulation.raise(target.id);
+      simulation.record('mouseClick', { button, double: Boolean(double) });
+    },
+    mouseToggle(down = 'down', button = 'left') {
+      const target = simulation.windowAt(simulation.mouse.x, simulation.mouse.y);
+      if (target && down === 'down') simulation.raise(target.id);
+      simulation.record('mouseToggle', { down, button });
+    },
+    scrollMouse(x, y) {
+      simulation.record('scrollMouse', { x, y });
+    },
+    keyTap(key, modifier = []) {
+      simulation.record('keyTap', { key, modifiers: [].concat(modifier) });
+    },
+    keyToggle(key, down, modifier = []) {
+      simulation.record('keyToggle', { key, down, modifiers: [].concat(modifier) });
+    },
+    typeString(text) {
+      simulation.record('typeString', { text });
+    },
+    getScreenSize() {
+      const primary = simulation.displays.find(display => display.primary) || simulation.displays[0];
+      return { width: primary.bounds.width, height: primary.bounds.height };
+    },
+    getPixelColor(x, y) {
+      const window = simulation.windowAt(x, y);
+      if (!window) return colorHex(simulation.background);
+      if (!window.image) return colorHex(window.color);
+      const { data, width, height } = window.image;
+      const px = Math.min(width - 1, Math.floor((x - window.bounds.x) / window.bounds.width * width));
+      const py = Math.min(height - 1, Math.floor((y - window.bounds.y) / window.bounds.height * height));
+      const offset = (py * width + px) * 3;
+      return Array.from(data.subarray(offset, offset + 3)).map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+  };
+
+  const windows = {
+    async getOpenWindows() {
+      return simulation.windows.map(window => simulation.describeWindow(window));
+    },
+    async getActiveWindow() {
+      const active = simulation.windows.find(window => !window.minimized);
+      return active ? simulation.describeWindow(active) : undefined;
+    },
+    async focusWindow(window) {
+      if (!simulation.find(window.id)) {
+        return { success: false, error: `Window not found with ID: ${window.id}` };
+      }
+      simulation.raise(window.id);
+      return { success: true };
+    },
+    async moveWindow(window, x, y, width, height) {
+      const result = await this.manageWindow(window, 'set_bounds', { x, y, width, height });
+      return result.success
+        ? { success: true, message: `Window moved to position (${x}, ${y}) with size ${width}x${height}`, newBounds: { x, y, width, height } }
+        : result;
+    },
+    async manageWindow(window, action, { x, y, width, height, enabled = true } = {}) {
+      const target = simulation.find(window.id);
+      if (!target) {
+        return { success: false, error: `Window not found with ID: ${window.id}` };
+      }
+      const displayBounds = displayHelpers.findForBounds(simulation.displays, target.bounds).bounds;
+      switch (action) {
+        case 'set_bounds':
+          target.bounds = { x, y, width, height };
+          target.restoreBounds = null;
+          break;
+        case 'minimize':
+          target.minimized = true;
+          break;
+        case 'maximize':
+        case 'fullscreen':
+          if (action === 'fullscreen' && !enabled) {
+            if (target.restoreBounds) target.bounds = target.restoreBounds;
+            target.restoreBounds = null;
+            break;
+          }
+          target.restoreBounds = target.restoreBounds || { ...target.bounds };
+          target.bounds = { ...displayBounds };
+          break;
+        case 'restore':
+          target.minimized = false;
+          if (target.restoreBounds) target.bounds = target.restoreBounds;
+          target.restoreBounds = null;
+          break;
+        case 'close':
+          simulation.windows = simulation.windows.filter(w => w !== target);
+          break;
+        case 'raise':
+          simulation.raise(target.id);
+          break;
+        case 'always_on_top':
+          target.alwaysOnTop = Boolean(enabled);
+          break;
+        default:
+          return { success: false, error: `Unknown action: ${action}` };
+      }
+      return { success: true };
+    }
+  };
+
+  const capture = {
+    async listDisplays() {
+      return simulation.displays.map(display => ({ ...display, bounds: { ...display.bounds } }));
+    },
+    async screenshot(options = {}) {
+      const display = simulation.displays.find(d => d.id === options.screen)
+        || simulation.displays.find(d => d.primary)
+        || simulation.displays[0];
+      return simulation.renderDisplay(display, options.format);
+    }
+  };
+
+  // Holds one format at a time, like a write to the real clipboard
+  const clipboard = {
+    async readText() {
+      return simulation.clipboard.text;
+    },
+    async writeText(text) {
+      simulation.clipboard = { text, html: null, image: null };
+      simulation.record('clipboardWrite', { format: 'text', text });
+    },
+    async readHtml() {
+      if (simulation.clipboard.html === null) {
+        throw new Error('Clipboard does not contain HTML');
+      }
+      return simulation.clipboard.html;
+    },
+    async writeHtml(html) {
+      simulation.clipboard = { text: '', html, image: null };
+      simulation.record('clipboardWrite', { format: 'html', html });
+    },
+    async readImage() {
+      if (!simulation.clipboard.image) {
+        throw new Error('Clipboard does not contain an image');
+      }
+      return simulation.clipboard.image;
+    },
+    async writeImage(png) {
+      simulation.clipboard = { text: '', html: null, image: Buffer.from(png) };
+      simulation.record('clipboardWrite', { format: 'image', bytes: png.length });
+    }
+  };
+
+  // Fake processes: spawn emits 'spawn' like a child process and opens the
+  // application's window, kill closes its windows and emits 'exit'
+  const processes = {
+    children: new Map(),
+    nextPid: 10000,
+
+    async run(file, args = []) {
+      simulation.record('run', { file, args: [...args] });
+      return '';
+    },
+
+    spawn(file, args = []) {
+      const { EventEmitter } = require('events');
+      const child = new EventEmitter();
+      child.pid = this.nextPid++;
+      child.stderr = null;
+      child.unref = () => {};
+      this.children.set(child.pid, child);
+      simulation.record('spawn', { file, args: [...args], pid: child.pid });
+
+      const name = path.basename(file);
+      const spec = simulation.apps[file] ?? simulation.apps[name] ?? {};
+      setImmediate(async () => {
+        child.emit('spawn');
+        if (spec === false || !this.children.has(child.pid)) return;
+        try {
+          await simulation.addWindow({
+            title: name,
+            ...spec,
+            id: undefined,
+            owner: { name, path: file, ...spec.owner, processId: child.pid }
+          });
+        } catch (error) {
+          debugLog(`SIMULATION: Failed to open a window for ${file}: ${error.message}\n`);
+        }
+      });
+      return child;
+    },
+
+    // Accepts a negative pid (process group) like process.kill
+    kill(pid, signal) {
+      const child = this.children.get(Math.abs(pid));
+      if (!child) {
+        throw Object.assign(new Error(`kill ESRCH ${pid}`), { code: 'ESRCH' });
+      }
+      if (signal === 0) return true;
+      this.children.delete(child.pid);
+      simulation.windows = simulation.windows.filter(window => window.owner.processId !== child.pid);
+      simulation.record('kill', { pid: child.pid, signal });
+      setImmediate(() => child.emit('exit', null, signal || 'SIGTERM'));
+      return true;
+    }
+  };
+
+  return { name: 'simulated', input, windows, capture, clipboard, process: processes, simulation };
+};
+
+const backend = getArgValue('backend') === 'simulated' ? createSimulatedBackend() : createNativeBackend();
+const robot = backend.input;
+
+// Window-relative coordinate helpers shared by all mouse tools
+const coordinateHelpers = {
+  // Builds basic metadata assuming no AI image scaling (1:1 coordinate mapping)
+  createBasicMetadata(targetWindow) {
+    return {
+      windowId: targetWindow.id,
+      originalLogicalSize: { width: targetWindow.bounds.width, height: targetWindow.bounds.height },
+      aiImageSize: { width: targetWindow.bounds.width, height: targetWindow.bounds.height },
+      timestamp: Date.now()
+    };
+  },
+
+  // Returns the coordinate metadata and current window info for a window,
+  // creating or refreshing basic metadata when no recent window_capture exists
+  async getWindowContext(windowId, debug = false) {
+    const windows = await backend.windows.getOpenWindows();
+    const targetWindow = windows.find(w => w && w.id === windowId);
+
+    if (!targetWindow) {
+      return { success: false, error: `Window not found with ID: ${windowId}` };
+    }
+
+    if (!global.windowCaptureMetadata) {
+      global.windowCaptureMetadata = {};
+    }
+
+    let metadata = global.windowCaptureMetadata[windowId];
+    if (!metadata) {
+      debugLog(`No window capture metadata found for window ${windowId}, creating basic metadata for coordinate transformation\n`, debug);
+      metadata = this.createBasicMetadata(targetWindow);
+      global.windowCaptureMetadata[windowId] = metadata;
+      debugLog(`Created basic metadata for window ${windowId}: ${JSON.stringify(metadata)}\n`, debug);
+    } else {
+      const age = Date.now() - metadata.timestamp;
+      if (age > 5 * 60 * 1000) {
+        debugLog(`Window capture metadata is stale (${(age/1000).toFixed(1)}s old), creating fresh basic metadata\n`, debug);
+        metadata = this.createBasicMetadata(targetWindow);
+        global.windowCaptureMetadata[windowId] = metadata;
+        debugLog(`Refreshed basic metadata for window ${windowId}\n`, debug);
+      }
+    }
+
+    return { success: true, metadata, targetWindow };
+  },
+
+  // Converts coordinates in the window screenshot space to screen coordinates.
+  // The scaling factor is the ratio of the window's original logical size
+  // to the final size of the image that was sent to the AI. Zoomed captures
+  // cover only part of the window and add their logical offset.
+  toScreenPoint(context, x, y) {
+    const { metadata, targetWindow } = context;
+    const offset = metadata.offset || { x: 0, y: 0 };
+    const scaleX = metadata.originalLogicalSize.width / metadata.aiImageSize.width;
+    const scaleY = metadata.originalLogicalSize.height / metadata.aiImageSize.height;
+    const scaledX = Math.round(offset.x + x * scaleX);
+    const scaledY = Math.round(offset.y + y * scaleY);
+
+    return {
+      x: targetWindow.bounds.x + scaledX,
+      y: targetWindow.bounds.y + scaledY,
+      scaledX,
+      scaledY,
+      scaleX,
+      scaleY
+    };
+  },
+
+  // The inverse of toScreenPoint for a point in logical window coordinates:
+  // returns where it lies in the image space mouse tools currently accept
+  fromWindowPoint(context, windowX, windowY) {
+    const { metadata } = context;
+    const offset = metadata.offset || { x: 0, y: 0 };
+    const scaleX = metadata.originalLogicalSize.width / metadata.aiImageSize.width;
+    const scaleY = metadata.originalLogicalSize.height / metadata.aiImageSize.height;
+    return {
+      x: Math.round((windowX - offset.x) / scaleX),
+      y: Math.round((windowY - offset.y) / scaleY)
+    };
+  },
+
+  // Locates the mouse pointer within a captured area given in logical screen
+  // coordinates. fraction is relative to the area, for drawing on any image size.
+  locateCursor(area) {
+    const mouse = robot.getMousePos();
+    const fraction = {
+      x: (mouse.x - area.x) / area.width,
+      y: (mouse.y - area.y) / area.height
+    };
+    const inside = fraction.x >= 0 && fraction.x < 1 && fraction.y >= 0 && fraction.y < 1;
+    return { screen: { x: mouse.x, y: mouse.y }, fraction, inside };
+  },
+
+  // Splits a polyline into evenly spaced intermediate points. Steps are
+  // distributed across segments proportionally to their length so the
+  // pointer travels at a constant speed through waypoints.
+  interpolatePath(points, steps) {
+    const segmentLengths = [];
+    let totalLength = 0;
+    for (let i = 1; i < points.length; i++) {
+      const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+      segmentLengths.push(length);
+      totalLength += length;
+    }
+
+    const path = [];
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const segmentSteps = totalLength > 0
+        ? Math.max(1, Math.round(steps * segmentLengths[i - 1] / totalLength))
+        : 1;
+      for (let step = 1; step <= segmentSteps; step++) {
+        const t = step / segmentSteps;
+        path.push({
+          x: Math.round(from.x + (to.x - from.x) * t),
+          y: Math.round(from.y + (to.y - from.y) * t)
+        });
+      }
+    }
+
+    return path;
+  }
+};
+
+// Low-level input helpers that hide robotjs platform differences
+const inputHelpers = {
+  // Approximate number of pixels one wheel tick scrolls in most applications
+  pixelsPerScrollTick: 40,
+
+  // Performs a single scroll step. deltaX/deltaY are positive for right/down,
+  // matching DOM wheel events. robotjs uses the opposite sign and a
+  // platform-specific unit: pixels on macOS, wheel deltas (120 per notch) on
+  // Windows and button clicks (ticks) on Linux.
+  scroll(deltaX, deltaY, unit = 'ticks') {
+    const convert = (amount) => {
+      if (amount === 0) return 0;
+      if (isMacOS) {
+        return unit === 'pixels' ? amount : amount * this.pixelsPerScrollTick;
+      }
+      if (isWindows) {
+        return unit === 'pixels' ? Math.round(amount * 120 / this.pixelsPerScrollTick) : amount * 120;
+      }
+      // Linux scrolls in whole ticks only
+      const ticks = unit === 'pixels' ? Math.round(amount / this.pixelsPerScrollTick) : amount;
+      return ticks === 0 ? Math.sign(amount) : ticks;
+    };
+
+    robot.scrollMouse(-convert(deltaX), -convert(deltaY));
+  },
+
+  // Easing curve for the "human" motion profile: slow start, fast middle, slow end
+  easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  },
+
+  // Returns the point at the given fraction (0-1) of a polyline's total length
+  pointAlongPath(points, fraction) {
+    const lengths = [];
+    let totalLength = 0;
+    for (let i = 1; i < points.length; i++) {
+      const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+      lengths.push(length);
+      totalLength += length;
+    }
+
+    let remaining = fraction * totalLength;
+    for (let i = 1; i < points.length; i++) {
+      if (remaining <= lengths[i - 1] || i === points.length - 1) {
+        const t = lengths[i - 1] > 0 ? Math.min(1, remaining / lengths[i - 1]) : 1;
+        return {
+          x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+          y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+        };
+      }
+      remaining -= lengths[i - 1];
+    }
+    return { ...points[points.length - 1] };
+  },
+
+  // Builds the pointer path through the given screen points for a motion profile:
+  // - instant: jumps straight to each point
+  // - linear:  evenly spaced steps along straight lines
+  // - human:   a slightly curved Bezier path per segment with ease-in-out timing
+  // Optional jitter adds random offsets (in pixels) to every point but the last.
+  buildMotionPath(points, motion = {}) {
+    const { profile = 'instant', duration = 300, jitter = 0 } = motion;
+
+    if (profile === 'instant') {
+      return points.slice(1).map(point => ({ x: point.x, y: point.y }));
+    }
+
+    // Roughly one pointer event every 10ms unless steps are given explicitly
+    const steps = motion.steps || Math.max(2, Math.round(duration / 10));
+    let path;
+
+    if (profile === 'linear') {
+      path = coordinateHelpers.interpolatePath(points, steps);
+    } else {
+      const curve = [points[0]];
+      for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        // Bow the control points to a random side, perpendicular to the segment
+        const bow = (0.05 + Math.random() * 0.15) * (Math.random() < 0.5 ? -1 : 1);
+        const c1 = { x: from.x + dx * 0.3 - dy * bow, y: from.y + dy * 0.3 + dx * bow };
+        const c2 = { x: from.x + dx * 0.7 - dy * bow, y: from.y + dy * 0.7 + dx * bow };
+        for (let sample = 1; sample <= 20; sample++) {
+          const t = sample / 20;
+          const mt = 1 - t;
+          curve.push({
+            x: mt * mt * mt * from.x + 3 * mt * mt * t * c1.x + 3 * mt * t * t * c2.x + t * t * t * to.x,
+            y: mt * mt * mt * from.y + 3 * mt * mt * t * c1.y + 3 * mt * t * t * c2.y + t * t * t * to.y
+          });
+        }
+      }
+
+      path = [];
+      for (let step = 1; step <= steps; step++) {
+        path.push(this.pointAlongPath(curve, this.easeInOutCubic(step / steps)));
+      }
+    }
+
+    const lastIndex = path.length - 1;
+    const target = points[points.length - 1];
+    return path.map((point, index) => {
+      if (index === lastIndex) {
+        // Always land exactly on the target
+        return { x: target.x, y: target.y };
+      }
+      const offsetX = jitter > 0 ? (Math.random() * 2 - 1) * jitter : 0;
+      const offsetY = jitter > 0 ? (Math.random() * 2 - 1) * jitter : 0;
+      return { x: Math.round(point.x + offsetX), y: Math.round(point.y + offsetY) };
+    });
+  },
+
+  // Moves the pointer along a path, spreading the moves evenly over duration
+  async followPath(path, duration) {
+    const stepDelay = path.length > 0 ? duration / path.length : 0;
+    for (const point of path) {
+      if (stepDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, stepDelay));
+      }
+      robot.moveMouse(point.x, point.y);
+    }
+  },
+
+  // robotjs can only type printable ASCII, newlines and tabs reliably on every platform
+  isTypeable(char) {
+    return /^[\x20-\x7E\n\t]$/.test(char);
+  },
+
+  // Splits text into runs of typeable and non-typeable characters.
+  // Works on code points so emoji and other surrogate pairs stay intact.
+  splitTypeableSegments(text) {
+    const segments = [];
+    for (const char of Array.from(text)) {
+      const typeable = this.isTypeable(char);
+      const last = segments[segments.length - 1];
+      if (last && last.typeable === typeable) {
+        last.text += char;
+      } else {
+        segments.push({ typeable, text: char });
+      }
+    }
+    return segments;
+  },
+
+  // Types text with robotjs, optionally pausing between characters
+  async typeText(text, charDelayMs = 0) {
+    if (charDelayMs === 0) {
+      robot.typeString(text);
+      return;
+    }
+    const chars = Array.from(text);
+    for (let i = 0; i < chars.length; i++) {
+      robot.typeString(chars[i]);
+      if (i < chars.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, charDelayMs));
+      }
+    }
+  },
+
+  // Pastes text through the clipboard, restoring the previous clipboard afterwards
+  async pasteText(text) {
+    const previous = await clipboardHelpers.snapshot();
+
+    await backend.clipboard.writeText(text);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await clipboardHelpers.paste();
+
+    try {
+      await clipboardHelpers.restore(previous);
+    } catch (error) {
+      // The paste itself succeeded, a failed restore is not fatal
+    }
+  },
+
+  // Moves the pointer from its current position to a screen point using a motion profile
+  async moveMouse(x, y, motion = {}) {
+    const { profile = 'instant', duration = 300 } = motion;
+    if (profile === 'instant') {
+      robot.moveMouse(x, y);
+      return;
+    }
+
+    const from = robot.getMousePos();
+    const path = this.buildMotionPath([from, { x, y }], motion);
+    await this.followPath(path, duration);
+  }
+};
+
+// Key name parsing and validation against the robotjs key table
+const keyHelpers = {
+  // Named keys supported by robotjs keyTap/keyToggle (any single character is accepted too)
+  robotKeys: new Set([
+    'backspace', 'delete', 'enter', 'tab', 'escape', 'up', 'down', 'right', 'left',
+    'home', 'end', 'pageup', 'pagedown',
+    'f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7', 'f8', 'f9', 'f10', 'f11', 'f12',
+    'f13', 'f14', 'f15', 'f16', 'f17', 'f18', 'f19', 'f20', 'f21', 'f22', 'f23', 'f24',
+    'capslock', 'command', 'alt', 'right_alt', 'control', 'left_control', 'right_control',
+    'shift', 'right_shift', 'space', 'printscreen', 'insert', 'menu',
+    'audio_mute', 'audio_vol_down', 'audio_vol_up', 'audio_play', 'audio_stop', 'audio_pause',
+    'audio_prev', 'audio_next', 'audio_rewind', 'audio_forward', 'audio_repeat', 'audio_random',
+    'numpad_lock', 'numpad_0', 'numpad_1', 'numpad_2', 'numpad_3', 'numpad_4', 'numpad_5',
+    'numpad_6', 'numpad_7', 'numpad_8', 'numpad_9',
+    'numpad_+', 'numpad_-', 'numpad_*', 'numpad_/', 'numpad_.',
+    'lights_mon_up', 'lights_mon_down', 'lights_kbd_toggle', 'lights_kbd_up', 'lights_kbd_down'
+  ]),
+
+  // Common spellings mapped to robotjs key names
+  aliases: {
+    ctrl: 'control', ctl: 'control',
+    cmd: 'command', meta: 'command', super: 'command', win: 'command', windows: 'command',
+    option: 'alt', opt: 'alt',
+    mod: 'primary',
+    return: 'enter', esc: 'escape', del: 'delete', bksp: 'backspace',
+    pgup: 'pageup', pgdn: 'pagedown', ins: 'insert',
+    spacebar: 'space', caps: 'capslock', prtsc: 'printscreen',
+    arrowup: 'up', arrowdown: 'down', arrowleft: 'left', arrowright: 'right',
+    plus: '+', minus: '-'
+  },
+
+  modifiers: new Set(['control', 'shift', 'alt', 'command', 'primary']),
+
+  // "primary" is the platform's main shortcut modifier: command on macOS, control elsewhere
+  resolveModifier(modifier) {
+    if (modifier === 'primary') {
+      return isMacOS ? 'command' : 'control';
+    }
+    return modifier;
+  },
+
+  // Normalizes a key name and validates it, throwing an error that lists valid names
+  normalizeKey(name, context = name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error(`Empty key name in "${context}"`);
+    }
+    if (Array.from(name).length === 1) {
+      return name;
+    }
+    const lower = name.toLowerCase();
+    const normalized = this.aliases[lower] || lower;
+    if (normalized === 'primary' || this.robotKeys.has(normalized) || Array.from(normalized).length === 1) {
+      return normalized;
+    }
+    throw new Error(`Unknown key "${name}" in "${context}". Use a single character, a modifier (ctrl, shift, alt, cmd, primary) or one of: ${Array.from(this.robotKeys).join(', ')}`);
+  },
+
+  // Builds a validated chord from a key and a list of modifiers
+  buildChord(key, modifiers = [], context = key) {
+    const normalizedKey = this.normalizeKey(key, context);
+    const resolvedModifiers = [];
+    for (const modifier of modifiers) {
+      const normalized = this.normalizeKey(modifier, context);
+      if (!this.modifiers.has(normalized)) {
+        throw new Error(`"${modifier}" is not a modifier in "${context}". Modifiers are: ctrl, shift, alt, cmd, primary`);
+      }
+      const resolved = this.resolveModifier(normalized);
+      if (!resolvedModifiers.includes(resolved)) {
+        resolvedModifiers.push(resolved);
+      }
+    }
+    return { key: this.resolveModifier(normalizedKey), modifiers: resolvedModifiers };
+  },
+
+  // Parses a hotkey string such as "ctrl+shift+t" or a sequence such as
+  // "ctrl+k ctrl+s" into chords. Chords are separated by whitespace and keys
+  // within a chord by "+". Use "ctrl++" or "ctrl+plus" for the plus key.
+  parseCombo(combo) {
+    const chordStrings = combo.trim().split(/\s+/).filter(Boolean);
+    if (chordStrings.length === 0) {
+      throw new Error('combo must contain at least one key');
+    }
+
+    return chordStrings.map(chordString => {
+      const parts = Array.from(chordString.matchAll(/(?:^|\+)(\+|[^+]+)/g));
+      if (parts.map(match => match[0]).join('') !== chordString) {
+        throw new Error(`Malformed chord "${chordString}" in combo "${combo}". Join keys with "+", e.g. "ctrl+shift+t"`);
+      }
+
+      const names = parts.map(match => match[1]);
+      // In hotkeys "S" means the S key, shift has to be given explicitly
+      const lastName = names[names.length - 1];
+      const key = /^[A-Z]$/.test(lastName) ? lastName.toLowerCase() : lastName;
+      const modifiers = names.slice(0, -1);
+      return this.buildChord(key, modifiers, chordString);
+    });
+  },
+
+  // Presses a chord, holding it for pressLength milliseconds if given
+  async pressChord({ key, modifiers }, pressLength = 0) {
+    if (modifiers.length === 0) {
+      if (pressLength > 0) {
+        robot.keyToggle(key, 'down');
+        await new Promise(resolve => setTimeout(resolve, pressLength));
+        robot.keyToggle(key, 'up');
+      } else {
+        robot.keyTap(key);
+      }
+      return;
+    }
+
+    robot.keyToggle(key, 'down', modifiers);
+    if (pressLength > 0) {
+      await new Promise(resolve => setTimeout(resolve, pressLength));
+    }
+    // Release the modifiers together with the key so none are left held down
+    robot.keyToggle(key, 'up', modifiers);
+  },
+
+  describeChord({ key, modifiers }) {
+    return [...modifiers, key].join('+');
+  }
+};
+
+// Registry of keys and mouse buttons currently held down by key_down/mouse_down.
+// Every held input gets an auto-release timer, and everything is released when
+// the MCP session closes, so a crashed agent never leaves a modifier stuck down.
+const heldInputRegistry = {
+  entries: new Map(),
+
+  defaultAutoReleaseMs: 30000,
+
+  entryId(kind, name) {
+    return `${kind}:${name}`;
+  },
+
+  list() {
+    return Array.from(this.entries.values()).map(({ kind, name, since, autoReleaseMs }) => ({
+      kind,
+      name,
+      heldForMs: Date.now() - since,
+      autoReleaseInMs: Math.max(0, autoReleaseMs - (Date.now() - since))
+    }));
+  },
+
+  isHeld(kind, name) {
+    return this.entries.has(this.entryId(kind, name));
+  },
+
+  // Registers a held input. Holding an already held input only restarts its timer.
+  hold(kind, name, autoReleaseMs = this.defaultAutoReleaseMs) {
+    const id = this.entryId(kind, name);
+    const existing = this.entries.get(id);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => {
+      debugLog(`HELD_INPUTS: Auto-releasing ${id} after ${autoReleaseMs}ms\n`);
+      try {
+        this.release(kind, name);
+      } catch (error) {
+        // Error captured silently to avoid interfering with MCP protocol
+        debugLog(`HELD_INPUTS: Failed to auto-release ${id}: ${error.message}\n`);
+      }
+    }, autoReleaseMs);
+    // Pending auto-release timers must not keep the process alive
+    timer.unref();
+
+    this.entries.set(id, { kind, name, since: existing ? existing.since : Date.now(), autoReleaseMs, timer });
+    return Boolean(existing);
+  },
+
+  // Releases a held input. Returns false if it was not held.
+  release(kind, name) {
+    const id = this.entryId(kind, name);
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    this.entries.delete(id);
+    if (kind === 'mouse') {
+      robot.mouseToggle('up', name);
+    } else {
+      robot.keyToggle(name, 'up');
+    }
+    return true;
+  },
+
+  releaseAll() {
+    const released = [];
+    for (const { kind, name } of Array.from(this.entries.values())) {
+      try {
+        this.release(kind, name);
+        released.push(`${kind}:${name}`);
+      } catch (error) {
+        // Keep releasing the remaining inputs
+        debugLog(`HELD_INPUTS: Failed to release ${kind}:${name}: ${error.message}\n`);
+      }
+    }
+    return released;
+  }
+};
+
+// Image helpers built on the sharp pipeline
+const imageHelpers = {
+  // Compares two encoded images and returns the percentage of pixels whose
+  // grayscale value differs by more than pixelTolerance. Images are compared
+  // at the size of the first one.
+  async diffPercentage(imageA, imageB, pixelTolerance = 16) {
+    const sharp = require('sharp');
+    const metaA = await sharp(imageA).metadata();
+    const toRaw = (image) => sharp(image)
+      .resize(metaA.width, metaA.height, { fit: 'fill' })
+      .grayscale()
+      .raw()
+      .toBuffer();
+
+    const [rawA, rawB] = await Promise.all([toRaw(imageA), toRaw(imageB)]);
+    let changed = 0;
+    for (let i = 0; i < rawA.length; i++) {
+      if (Math.abs(rawA[i] - rawB[i]) > pixelTolerance) {
+        changed++;
+      }
+    }
+
+    return (changed / rawA.length) * 100;
+  },
+
+  // Diffs two encoded images and groups changed pixels into regions. The
+  // second image is resized to the first one's size if needed. Changed pixels
+  // are bucketed into cellSize x cellSize cells and touching cells are merged,
+  // so returned boxes are in the first image's pixel coordinates.
+  async diffRegions(imageA, imageB, { pixelTolerance = 24, cellSize = 8, minRegionArea = 16 } = {}) {
+    const sharp = require('sharp');
+    const metaA = await sharp(imageA).metadata();
+    const metaB = await sharp(imageB).metadata();
+    const { width, height } = metaA;
+    const toRaw = (image) => sharp(image)
+      .resize(width, height, { fit: 'fill' })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+
+    const [rawA, rawB] = await Promise.all([toRaw(imageA), toRaw(imageB)]);
+    const channels = rawA.length / (width * height);
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const cells = new Array(columns * rows).fill(null);
+
+    let changed = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const offset = (y * width + x) * channels;
+        let maxDelta = 0;
+        for (let c = 0; c < channels; c++) {
+          maxDelta = Math.max(maxDelta, Math.abs(rawA[offset + c] - rawB[offset + c]));
+        }
+        if (maxDelta <= pixelTolerance) continue;
+
+        changed++;
+        const index = Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+        const cell = cells[index];
+        if (cell) {
+          cell.minX = Math.min(cell.minX, x);
+          cell.minY = Math.min(cell.minY, y);
+          cell.maxX = Math.max(cell.maxX, x);
+          cell.maxY = Math.max(cell.maxY, y);
+          cell.pixels++;
+        } else {
+          cells[index] = { minX: x, minY: y, maxX: x, maxY: y, pixels: 1 };
+        }
+      }
+    }
+
+    // Merge touching cells (including diagonals) into regions with a flood fill
+    const regions = [];
+    const visited = new Uint8Array(columns * rows);
+    for (let start = 0; start < cells.length; start++) {
+      if (!cells[start] || visited[start]) continue;
+
+      const region = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, pixels: 0 };
+      const queue = [start];
+      visited[start] = 1;
+      while (queue.length > 0) {
+        const index = queue.pop();
+        const cell = cells[index];
+        region.minX = Math.min(region.minX, cell.minX);
+        region.minY = Math.min(region.minY, cell.minY);
+        region.maxX = Math.max(region.maxX, cell.maxX);
+        region.maxY = Math.max(region.maxY, cell.maxY);
+        region.pixels += cell.pixels;
+
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const neighborColumn = column + dx;
+            const neighborRow = row + dy;
+            if (neighborColumn < 0 || neighborRow < 0 || neighborColumn >= columns || neighborRow >= rows) continue;
+            const neighbor = neighborRow * columns + neighborColumn;
+            if (cells[neighbor] && !visited[neighbor]) {
+              visited[neighbor] = 1;
+              queue.push(neighbor);
+            }
+          }
+        }
+      }
+
+      if (region.pixels >= minRegionArea) {
+        regions.push({
+          x: region.minX,
+          y: region.minY,
+          width: region.maxX - region.minX + 1,
+          height: region.maxY - region.minY + 1,
+          changedPixels: region.pixels
+        });
+      }
+    }
+
+    regions.sort((a, b) => b.changedPixels - a.changedPixels);
+    return {
+      width,
+      height,
+      resized: metaB.width !== width || metaB.height !== height,
+      changedPercent: Number(((changed / (width * height)) * 100).toFixed(3)),
+      regions
+    };
+  },
+
+  // Outlines regions on an image and returns it as WebP
+  async annotateRegions(image, regions, { width, height } = {}) {
+    const sharp = require('sharp');
+    let instance = sharp(image);
+    if (width && height) {
+      instance = instance.resize(width, height, { fit: 'fill' });
+    }
+    const base = await instance.png().toBuffer();
+    const metadata = await sharp(base).metadata();
+
+    const rectangles = regions.map((region, index) =>
+      `<rect x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}" fill="none" stroke="red" stroke-width="2"/>` +
+      `<text x="${region.x + 2}" y="${Math.max(10, region.y - 2)}" font-size="10" font-family="sans-serif" fill="red">${index + 1}</text>`
+    ).join('');
+    const overlay = Buffer.from(`<svg width="${metadata.width}" height="${metadata.height}">${rectangles}</svg>`);
+
+    return await sharp(base)
+      .composite([{ input: overlay, top: 0, left: 0 }])
+      .webp({ quality: 50, effort: 0 })
+      .toBuffer();
+  },
+
+  // Parses "#rgb", "#rrggbb" or "rrggbb" into { r, g, b }
+  parseColor(color) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+    if (!match) {
+      throw new Error(`Invalid color "${color}". Use a hex color such as "#00ff00" or "#0f0"`);
+    }
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16)
+    };
+  },
+
+  toHexColor({ r, g, b }) {
+    return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  },
+
+  // Largest per-channel difference between two colors (0-255)
+  colorDistance(a, b) {
+    return Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b));
+  },
+
+  // Reads the color at a logical screen point straight from the display,
+  // averaging a (2 * radius + 1) square area when radius is given
+  async sampleScreenColor(x, y, radius = 0) {
+    const displays = await displayHelpers.listDisplays();
+    const display = displays.find(({ bounds: d }) => x >= d.x && x < d.x + d.width && y >= d.y && y < d.y + d.height);
+    if (!display) {
+      throw new Error(`Point (${x}, ${y}) is not on any display`);
+    }
+
+    // The sampled square is clamped to the display containing the point
+    const d = display.bounds;
+    const left = Math.max(d.x, x - radius);
+    const top = Math.max(d.y, y - radius);
+    const right = Math.min(d.x + d.width - 1, x + radius);
+    const bottom = Math.min(d.y + d.height - 1, y + radius);
+
+    // robotjs reads the main display only and throws for points left of or above
+    // it, so other displays are sampled from a capture of the whole display
+    if (display.primary && d.x === 0 && d.y === 0) {
+      const total = { r: 0, g: 0, b: 0 };
+      let count = 0;
+      for (let sy = top; sy <= bottom; sy++) {
+        for (let sx = left; sx <= right; sx++) {
+          const color = this.parseColor(robot.getPixelColor(sx, sy));
+          total.r += color.r;
+          total.g += color.g;
+          total.b += color.b;
+          count++;
+        }
+      }
+      return {
+        r: Math.round(total.r / count),
+        g: Math.round(total.g / count),
+        b: Math.round(total.b / count)
+      };
+    }
+
+    const sharp = require('sharp');
+    const image = await displayHelpers.capture(display, 'png');
+    const metadata = await sharp(image).metadata();
+    // Captures are in physical pixels
+    const scale = metadata.width / d.width;
+    const extractLeft = Math.min(metadata.width - 1, Math.floor((left - d.x) * scale));
+    const extractTop = Math.min(metadata.height - 1, Math.floor((top - d.y) * scale));
+    const { data, info } = await sharp(image).extract({
+      left: extractLeft,
+      top: extractTop,
+      width: Math.max(1, Math.min(metadata.width - extractLeft, Math.round((right - left + 1) * scale))),
+      height: Math.max(1, Math.min(metadata.height - extractTop, Math.round((bottom - top + 1) * scale)))
+    }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const total = { r: 0, g: 0, b: 0 };
+    const count = info.width * info.height;
+    for (let i = 0; i < data.length; i += info.channels) {
+      total.r += data[i];
+      total.g += data[i + 1];
+      total.b += data[i + 2];
+    }
+    return {
+      r: Math.round(total.r / count),
+      g: Math.round(total.g / count),
+      b: Math.round(total.b / count)
+    };
+  },
+
+  // Picks a round grid spacing giving roughly ten divisions along the longer side
+  autoGridSpacing(width, height) {
+    const target = Math.max(width, height) / 10;
+    const steps = [10, 20, 25, 50, 100, 200, 250, 500, 1000];
+    return steps.find(step => step >= target) || steps[steps.length - 1];
+  },
+
+  // Builds an SVG overlay with a labelled grid, edge rulers and/or crosshairs.
+  // Labels are pixel coordinates of the image the overlay is drawn on, which is
+  // the coordinate space the AI sees and mouse_click accepts.
+  buildOverlaySvg(width, height, { grid = false, rulers = false, crosshairs = [], cursor, spacing, color: requestedColor = '#ff00ff' } = {}) {
+    // Normalized to #rrggbb so nothing else reaches the SVG markup
+    const color = this.toHexColor(this.parseColor(requestedColor));
+    const step = spacing || this.autoGridSpacing(width, height);
+    const label = (x, y, text, anchor = 'start') =>
+      `<text x="${x}" y="${y}" text-anchor="${anchor}" font-size="11" font-weight="bold" font-family="sans-serif" fill="${color}" stroke="white" stroke-width="3" paint-order="stroke">${text}</text>`;
+    const parts = [];
+
+    if (grid) {
+      // Rulers already label the lines, so grid labels are only drawn without them
+      for (let x = step; x < width; x += step) {
+        parts.push(`<line x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="${color}" stroke-opacity="0.45" stroke-width="1"/>`);
+        if (!rulers) parts.push(label(x + 2, 11, x));
+      }
+      for (let y = step; y < height; y += step) {
+        parts.push(`<line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="${color}" stroke-opacity="0.45" stroke-width="1"/>`);
+        if (!rulers) parts.push(label(2, y - 2, y));
+      }
+    }
+
+    if (rulers) {
+      // Minor ticks every fifth of a step, labelled major ticks on every edge
+      const minor = Math.max(2, step / 5);
+      for (let x = 0; x <= width; x += minor) {
+        const major = x % step === 0;
+        const length = major ? 8 : 4;
+        parts.push(`<line x1="${x}" y1="0" x2="${x}" y2="${length}" stroke="${color}" stroke-width="1"/>`);
+        parts.push(`<line x1="${x}" y1="${height}" x2="${x}" y2="${height - length}" stroke="${color}" stroke-width="1"/>`);
+        if (major && x > 0 && x < width) {
+          parts.push(label(x, 19, x, 'middle'));
+          parts.push(label(x, height - 10, x, 'middle'));
+        }
+      }
+      for (let y = 0; y <= height; y += minor) {
+        const major = y % step === 0;
+        const length = major ? 8 : 4;
+        parts.push(`<line x1="0" y1="${y}" x2="${length}" y2="${y}" stroke="${color}" stroke-width="1"/>`);
+        parts.push(`<line x1="${width}" y1="${y}" x2="${width - length}" y2="${y}" stroke="${color}" stroke-width="1"/>`);
+        if (major && y > 0 && y < height) {
+          parts.push(label(10, y + 4, y));
+          parts.push(label(width - 10, y + 4, y, 'end'));
+        }
+      }
+    }
+
+    for (const point of crosshairs) {
+      const x = Math.round(point.x);
+      const y = Math.round(point.y);
+      parts.push(`<line x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="${color}" stroke-width="1" stroke-dasharray="4,3"/>`);
+      parts.push(`<line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="${color}" stroke-width="1" stroke-dasharray="4,3"/>`);
+      parts.push(`<circle cx="${x}" cy="${y}" r="4" fill="none" stroke="${color}" stroke-width="2"/>`);
+      const rightSide = x < width - 80;
+      parts.push(label(rightSide ? x + 6 : x - 6, y > 20 ? y - 6 : y + 16, `(${x}, ${y})`, rightSide ? 'start' : 'end'));
+    }
+
+    // Arrow pointer with its tip at the cursor position, ringed so it stands out on any background
+    if (cursor) {
+      const x = Math.round(cursor.x);
+      const y = Math.round(cursor.y);
+      parts.push(`<circle cx="${x}" cy="${y}" r="9" fill="none" stroke="#ff0000" stroke-width="2" stroke-opacity="0.8"/>`);
+      parts.push(`<path d="M ${x} ${y} l 0 16 l 4 -4 l 3 7 l 3 -1 l -3 -7 l 6 0 z" fill="black" stroke="white" stroke-width="1.5" stroke-linejoin="round"/>`);
+    }
+
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${parts.join('')}</svg>`;
+  },
+
+  // Renders a sharp pipeline and draws the overlay on the result at its final size
+  async applyOverlay(sharpInstance, overlay) {
+    const sharp = require('sharp');
+    const { data, info } = await sharpInstance.png().toBuffer({ resolveWithObject: true });
+    const svg = this.buildOverlaySvg(info.width, info.height, overlay);
+    return sharp(data).composite([{ input: Buffer.from(svg), top: 0, left: 0 }]);
+  },
+
+  // Encodes an image pipeline in the given format
+  async encodeImage(sharpInstance, format, quality) {
+    if (format === 'jpeg') {
+      return sharpInstance.jpeg({ quality }).toBuffer();
+    }
+    if (format === 'png') {
+      return sharpInstance.png({ compressionLevel: 9 }).toBuffer();
+    }
+    return sharpInstance.webp({ quality, effort: 0 }).toBuffer();
+  },
+
+  // Scales, overlays and encodes a capture for the AI using the server-wide
+  // defaults merged with per-call settings. When the result exceeds the byte
+  // budget, quality is stepped down first, then dimensions, until it fits.
+  // cursor is the pointer position as a fraction of the source image size.
+  async encodeCapture(sharpInstance, encoding = {}, overlay, cursor) {
+    const sharp = require('sharp');
+    const requested = Object.fromEntries(Object.entries(encoding).filter(([, value]) => value !== undefined));
+    const settings = { ...captureDefaults, ...requested };
+    const minQuality = 10;
+    const maxBytes = settings.maxKB * 1024;
+
+    // Decode once so every attempt starts from the same pixels
+    const { data, info } = await sharpInstance.raw().toBuffer({ resolveWithObject: true });
+    const fit = Math.min(settings.scale, settings.maxWidth / info.width, settings.maxHeight / info.height, 1);
+    let width = Math.max(1, Math.round(info.width * fit));
+    let height = Math.max(1, Math.round(info.height * fit));
+    let quality = settings.quality;
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      let pipeline = sharp(data, { raw: info });
+      if (width !== info.width || height !== info.height) {
+        pipeline = pipeline.resize(width, height, { fit: 'fill' });
+      }
+      if (overlay || cursor) {
+        const marks = cursor ? { cursor: { x: cursor.x * width, y: cursor.y * height } } : {};
+        pipeline = await this.applyOverlay(pipeline, { ...overlay, ...marks });
+      }
+      const buffer = await this.encodeImage(pipeline, settings.format, quality);
+
+      if (buffer.length <= maxBytes) {
+        return {
+          buffer,
+          mimeType: `image/${settings.format}`,
+          width,
+          height,
+          settings: {
+            format: settings.format,
+            quality: settings.format === 'png' ? null : quality,
+            width,
+            height,
+            scale: Number((width / info.width).toFixed(3)),
+            maxKB: settings.maxKB,
+            sizeKB: Number((buffer.length / 1024).toFixed(1)),
+            steppedDown: attempts > 1,
+            attempts
+          }
+        };
+      }
+
+      if (settings.format !== 'png' && quality > minQuality) {
+        quality = Math.max(minQuality, Math.round(quality * 0.7));
+      } else if (width > 64 || height > 64) {
+        width = Math.max(1, Math.round(width * 0.75));
+        height = Math.max(1, Math.round(height * 0.75));
+      } else {
+        throw new Error(`Capture does not fit in ${settings.maxKB}KB even at ${width}x${height}${settings.format === 'png' ? '' : ` and quality ${quality}`}. Increase maxKB or capture a smaller area.`);
+      }
+    }
+  },
+
+  // Upper bound for the pixels of all frames of an animation together (about
+  // 150MB of decoded frames); longer recordings are encoded at a smaller size
+  maxAnimationPixels: 50e6,
+
+  // Encodes frames as an animated WebP or GIF. Like encodeCapture, steps quality
+  // (or GIF colors) and then dimensions down until the result fits the budget.
+  async encodeAnimation(frames, delays, format, encoding = {}) {
+    const sharp = require('sharp');
+    const requested = Object.fromEntries(Object.entries(encoding).filter(([, value]) => value !== undefined));
+    const settings = { ...captureDefaults, ...requested };
+    const minQuality = 10;
+    const maxBytes = settings.maxKB * 1024;
+    const first = await sharp(frames[0]).metadata();
+    // Every frame is decoded in memory before sharp joins them, so the frame size
+    // is reduced up front until all frames together fit the pixel budget
+    const fit = Math.min(1, Math.sqrt(this.maxAnimationPixels / (frames.length * first.width * first.height)));
+    let width = Math.max(1, Math.floor(first.width * fit));
+    let height = Math.max(1, Math.floor(first.height * fit));
+    let quality = settings.quality;
+    let colours = 256;
+    let attempts = 0;
+    let pages = null;
+
+    while (true) {
+      attempts++;
+      // Frames are decoded once per size and reused across quality steps. Every
+      // frame is brought to the same size, the window may have been resized while recording.
+      if (!pages || pages.width !== width || pages.height !== height) {
+        // Let the frames of the previous size go before decoding the next
+        pages = null;
+        const buffers = [];
+        for (const frame of frames) {
+          buffers.push(await sharp(frame).resize(width, height, { fit: 'fill' }).removeAlpha().png({ compressionLevel: 0 }).toBuffer());
+        }
+        pages = { width, height, buffers };
+      }
+      const pipeline = frames.length > 1
+        ? sharp(pages.buffers, { join: { animated: true } })
+        : sharp(pages.buffers[0]);
+      const buffer = format === 'gif'
+        ? await pipeline.gif({ colours, delay: delays, loop: 0 }).toBuffer()
+        : await pipeline.webp({ quality, delay: delays, loop: 0, effort: 0 }).toBuffer();
+
+      if (buffer.length <= maxBytes) {
+        return {
+          buffer,
+          mimeType: `image/${format}`,
+          settings: {
+            format,
+            quality: format === 'gif' ? null : quality,
+            colours: format === 'gif' ? colours : undefined,
+            width,
+            height,
+            scale: Number((width / first.width).toFixed(3)),
+            maxKB: settings.maxKB,
+            sizeKB: Number((buffer.length / 1024).toFixed(1)),
+            steppedDown: attempts > 1,
+            attempts
+          }
+        };
+      }
+
+      if (format === 'gif' && colours > 32) {
+        colours = colours / 2;
+      } else if (format !== 'gif' && quality > minQuality) {
+        quality = Math.max(minQuality, Math.round(quality * 0.7));
+      } else if (width > 64 || height > 64) {
+        width = Math.max(1, Math.round(width * 0.75));
+        height = Math.max(1, Math.round(height * 0.75));
+      } else {
+        throw new Error(`Recording does not fit in ${settings.maxKB}KB even at ${width}x${height}. Increase maxKB, shorten the recording or lower fps.`);
+      }
+    }
+  },
+
+  // Summarizes the encoding settings that were actually used for a capture
+  describeEncoding(settings) {
+    const quality = settings.quality === null ? '' : ` quality ${settings.quality}`;
+    const colours = settings.colours ? ` ${settings.colours} colors` : '';
+    const steppedDown = settings.steppedDown ? `, stepped down to fit the ${settings.maxKB}KB budget` : '';
+    return `Encoding: ${settings.format}${quality}${colours}, ${settings.width}x${settings.height} (scale ${settings.scale}), ${settings.sizeKB}KB${steppedDown}`;
+  },
+
+  // Decodes an image to raw pixels, optionally scaled and converted to grayscale
+  async toRawPixels(image, { grayscale = true, scale = 1 } = {}) {
+    const sharp = require('sharp');
+    let instance = sharp(image).removeAlpha();
+    if (scale !== 1) {
+      const metadata = await sharp(image).metadata();
+      instance = instance.resize(
+        Math.max(1, Math.round(metadata.width * scale)),
+        Math.max(1, Math.round(metadata.height * scale)),
+        { fit: 'fill' }
+      );
+    }
+    if (grayscale) {
+      instance = instance.grayscale();
+    }
+    const { data, info } = await instance.raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+  },
+
+  // Normalized cross-correlation of a template over a haystack (both raw pixel
+  // objects with the same channel count). Returns every position within the
+  // optional search area scoring at least minScore, as { x, y, score } with
+  // scores from -1 to 1.
+  matchTemplate(haystack, template, minScore, area = null) {
+    const { width: hw, height: hh, channels } = haystack;
+    const { width: tw, height: th } = template;
+    const n = tw * th * channels;
+
+    // Zero-mean template so the haystack window mean cancels out of the correlation
+    let templateSum = 0;
+    for (let i = 0; i < template.data.length; i++) templateSum += template.data[i];
+    const templateMean = templateSum / n;
+    const centered = new Float64Array(template.data.length);
+    let templateNormSq = 0;
+    for (let i = 0; i < template.data.length; i++) {
+      centered[i] = template.data[i] - templateMean;
+      templateNormSq += centered[i] * centered[i];
+    }
+    if (templateNormSq === 0) {
+      throw new Error('Reference image has no contrast (all pixels are the same color) and cannot be matched');
+    }
+
+    // Integral images of pixel sums and squared sums for fast window variance
+    const stride = hw + 1;
+    const integral = new Float64Array(stride * (hh + 1));
+    const integralSq = new Float64Array(stride * (hh + 1));
+    for (let y = 0; y < hh; y++) {
+      let rowSum = 0;
+      let rowSumSq = 0;
+      for (let x = 0; x < hw; x++) {
+        for (let c = 0; c < channels; c++) {
+          const value = haystack.data[(y * hw + x) * channels + c];
+          rowSum += value;
+          rowSumSq += value * value;
+        }
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+        integralSq[(y + 1) * stride + x + 1] = integralSq[y * stride + x + 1] + rowSumSq;
+      }
+    }
+    const windowSum = (table, x, y) =>
+      table[(y + th) * stride + x + tw] - table[y * stride + x + tw] - table[(y + th) * stride + x] + table[y * stride + x];
+
+    const x0 = area ? Math.max(0, area.x0) : 0;
+    const y0 = area ? Math.max(0, area.y0) : 0;
+    const x1 = area ? Math.min(hw - tw, area.x1) : hw - tw;
+    const y1 = area ? Math.min(hh - th, area.y1) : hh - th;
+    const rowLength = tw * channels;
+
+    const results = [];
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const sum = windowSum(integral, x, y);
+        const variance = windowSum(integralSq, x, y) - (sum * sum) / n;
+        if (variance <= 1e-6) continue;
+
+        let cross = 0;
+        for (let ty = 0; ty < th; ty++) {
+          const haystackOffset = ((y + ty) * hw + x) * channels;
+          const templateOffset = ty * rowLength;
+          for (let i = 0; i < rowLength; i++) {
+            cross += centered[templateOffset + i] * haystack.data[haystackOffset + i];
+          }
+        }
+
+        const score = cross / Math.sqrt(templateNormSq * variance);
+        if (score >= minScore) {
+          results.push({ x, y, score });
+        }
+      }
+    }
+    return results;
+  },
+
+  // Greedy non-maximum suppression: keeps the best scoring boxes that do not
+  // overlap an already kept box by more than maxOverlap (intersection over union)
+  suppressOverlaps(boxes, maxOverlap = 0.3) {
+    const kept = [];
+    for (const box of [...boxes].sort((a, b) => b.score - a.score)) {
+      const overlaps = kept.some(other => {
+        const ix = Math.max(0, Math.min(box.x + box.width, other.x + other.width) - Math.max(box.x, other.x));
+        const iy = Math.max(0, Math.min(box.y + box.height, other.y + other.height) - Math.max(box.y, other.y));
+        const intersection = ix * iy;
+        const union = box.width * box.height + other.width * other.height - intersection;
+        return intersection / union > maxOverlap;
+      });
+      if (!overlaps) {
+        kept.push(box);
+      }
+    }
+    return kept;
+  },
+
+  // Upper bound for the pixel comparisons of one findTemplate call. matchTemplate
+  // runs on the event loop, so this keeps a search to roughly a second.
+  maxMatchWork: 3e8,
+
+  // Downsampling factor for the coarse pass, so the coarse template is still at
+  // least 8 pixels on its shorter side
+  coarseFactor(templateWidth, templateHeight) {
+    return Math.max(1, Math.min(4, Math.floor(Math.min(templateWidth, templateHeight) / 8)));
+  },
+
+  // Estimates the pixel comparisons a search at one scale needs
+  estimateMatchWork(haystackWidth, haystackHeight, templateWidth, templateHeight, channels, maxMatches) {
+    const factor = this.coarseFactor(templateWidth, templateHeight);
+    const positions = (w, h, tw, th) => Math.max(0, w - tw + 1) * Math.max(0, h - th + 1);
+    if (factor === 1) {
+      return positions(haystackWidth, haystackHeight, templateWidth, templateHeight) * templateWidth * templateHeight * channels;
+    }
+    const coarseWidth = Math.round(templateWidth / factor);
+    const coarseHeight = Math.round(templateHeight / factor);
+    const coarse = positions(Math.round(haystackWidth / factor), Math.round(haystackHeight / factor), coarseWidth, coarseHeight)
+      * coarseWidth * coarseHeight * channels;
+    const refine = maxMatches * 10 * (2 * factor + 1) ** 2 * templateWidth * templateHeight * channels;
+    return coarse + refine;
+  },
+
+  // Finds a reference image inside a larger image. Searches at every requested
+  // scale, first on a downsampled copy and then refining candidates at full
+  // resolution. Returns boxes in the haystack image's pixel coordinates.
+  async findTemplate(haystackImage, templateImage, { threshold = 0.8, grayscale = true, scales = [1], maxMatches = 1 } = {}) {
+    const sharp = require('sharp');
+    const haystack = await this.toRawPixels(haystackImage, { grayscale });
+    const templateMeta = await sharp(templateImage).metadata();
+
+    // Refuse searches that would block the server for too long
+    const sizes = scales.map(scale => ({
+      scale,
+      width: Math.max(1, Math.round(templateMeta.width * scale)),
+      height: Math.max(1, Math.round(templateMeta.height * scale))
+    })).filter(({ width, height }) => width <= haystack.width && height <= haystack.height && width >= 3 && height >= 3);
+    const work = sizes.reduce((total, { width, height }) =>
+      total + this.estimateMatchWork(haystack.width, haystack.height, width, height, haystack.channels, maxMatches), 0);
+    if (work > this.maxMatchWork) {
+      throw new Error(`Search too large: a ${templateMeta.width}x${templateMeta.height} reference in a ${haystack.width}x${haystack.height} image at ${sizes.length} scale(s) needs about ${(work / 1e6).toFixed(0)}M pixel comparisons (limit ${(this.maxMatchWork / 1e6).toFixed(0)}M). Narrow the search area (windowId or x1/y1/x2/y2), lower scaleTolerance, or use a larger reference image (16px or more on its shorter side).`);
+    }
+
+    const boxes = [];
+    for (const { scale } of sizes) {
+      const template = await this.toRawPixels(templateImage, { grayscale, scale });
+      if (template.width > haystack.width || template.height > haystack.height || template.width < 3 || template.height < 3) {
+        continue;
+      }
+
+      const factor = this.coarseFactor(template.width, template.height);
+      let candidates;
+      if (factor > 1) {
+        const coarseHaystack = await this.toRawPixels(haystackImage, { grayscale, scale: 1 / factor });
+        const coarseTemplate = await this.toRawPixels(templateImage, { grayscale, scale: scale / factor });
+        const coarse = this.matchTemplate(coarseHaystack, coarseTemplate, threshold - 0.25)
+          .map(match => ({ ...match, width: coarseTemplate.width, height: coarseTemplate.height }));
+
+        candidates = [];
+        for (const match of this.suppressOverlaps(coarse).slice(0, maxMatches * 10)) {
+          const refined = this.matchTemplate(haystack, template, threshold, {
+            x0: match.x * factor - factor,
+            y0: match.y * factor - factor,
+            x1: match.x * factor + factor,
+            y1: match.y * factor + factor
+          });
+          if (refined.length > 0) {
+            candidates.push(refined.reduce((best, current) => current.score > best.score ? current : best));
+          }
+        }
+      } else {
+        candidates = this.matchTemplate(haystack, template, threshold);
+      }
+
+      for (const candidate of candidates) {
+        boxes.push({ ...candidate, width: template.width, height: template.height, scale });
+      }
+    }
+
+    return this.suppressOverlaps(boxes).slice(0, maxMatches).map(box => ({
+      x: box.x,
+      y: box.y,
+      width: box.width,
+      height: box.height,
+      centerX: Math.round(box.x + box.width / 2),
+      centerY: Math.round(box.y + box.height / 2),
+      confidence: Number(box.score.toFixed(3)),
+      scale: Number(box.scale.toFixed(2))
+    }));
+  }
+};
+
+// Helpers for tools that repeatedly capture a window or screen region
+const pollingHelpers = {
+  // Captures a window (without refocusing it) or a screen region through the
+  // regular capture pipeline, returning the image buffer and its MIME type
+  async captureTarget({ windowId, displayId, x1, y1, x2, y2, encoding, includeCursor }) {
+    const capture = windowId ?
+      await capabilityImplementations.window_capture({ windowId, focus: false, encoding, includeCursor, store: false }) :
+      await capabilityImplementations.screen_capture({ displayId, x1, y1, x2, y2, encoding, includeCursor, store: false });
+    if (!capture || !capture.content || !capture.content[1]) {
+      throw new Error(`Capture failed: ${capture ? capture.error : 'null response'}`);
+    }
+    return { buffer: Buffer.from(capture.content[1].data, 'base64'), mimeType: capture.content[1].mimeType };
+  },
+
+  // Validates the timing options shared by all wait tools
+  validateTiming({ timeout, pollInterval }) {
+    if (timeout < 0 || timeout > 120000) {
+      return 'timeout must be between 0 and 120000 milliseconds';
+    }
+    if (pollInterval < 50 || pollInterval > 10000) {
+      return 'pollInterval must be between 50 and 10000 milliseconds';
+    }
+    return null;
+  },
+
+  // Brings the target window to the front once before polling starts
+  async prepareTarget({ windowId }) {
+    if (!windowId) {
+      return { success: true };
+    }
+    const focusResult = await capabilityImplementations.focus_window({ windowId });
+    if (focusResult.success) {
+      // Wait a moment for the window to come to focus
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return focusResult;
+  },
+
+  // Builds the response for a finished wait, with the final capture attached
+  buildResult(summary, capture, includeCapture) {
+    if (!includeCapture) {
+      return summary;
+    }
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(summary),
+        },
+        {
+          type: "image",
+          mimeType: capture.mimeType,
+          data: capture.buffer.toString('base64'),
+        },
+      ],
+      isError: false
+    };
+  }
+};
+
+// Recordings started with record({ untilStopped: true }), keyed by recording id.
+// Each entry holds the stop flag and the promise of the finished recording.
+const recordingRegistry = {
+  active: new Map(),
+  // Results of background recordings that ended on their own, without image
+  // data, for a stop_recording that comes late
+  finished: new Map(),
+  maxFinished: 20,
+
+  // Captures frames at the requested rate until the duration elapses, the frame
+  // limit is reached or stop() is called
+  async captureFrames(target, { fps, duration, maxFrames }, state) {
+    const interval = 1000 / fps;
+    const start = Date.now();
+    const frames = [];
+
+    while (!state.stopRequested && Date.now() - start < duration && frames.length < maxFrames) {
+      const frameStart = Date.now();
+      const capture = await pollingHelpers.captureTarget(target);
+      frames.push({ ...capture, timestamp: frameStart - start });
+
+      const wait = Math.min(interval - (Date.now() - frameStart), duration - (Date.now() - start));
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+
+    return { frames, elapsed: Date.now() - start, interval };
+  },
+
+  // Stores a finished recording as screenshot:// resources and builds the response
+  async finish(recordingId, { frames, elapsed, interval }, { format, encoding, source }) {
+    if (frames.length === 0) {
+      return { success: false, error: 'No frames were captured' };
+    }
+
+    if (format === 'frames') {
+      const frameList = frames.map((frame, index) => {
+        const stored = captureStore.add(`${recordingId}-frame-${index}`, frame.buffer, frame.mimeType, {
+          kind: 'recording-frame',
+          source,
+          recordingId,
+          frameIndex: index,
+          timestampMs: frame.timestamp
+        });
+        return { index, timestampMs: frame.timestamp, uri: stored ? stored.uri : null };
+      });
+      await resourceNotifier.update();
+
+      // Without --store-dir, frames over the memory budget are dropped right away
+      const dropped = frameList.filter(frame => !captureStore.entries.has(`${recordingId}-frame-${frame.index}`));
+      if (dropped.length > 0) {
+        return {
+          success: false,
+          recordingId,
+          error: `${dropped.length} of ${frames.length} frames did not fit the ${captureStore.describeBudget()} capture store and were dropped. Use a smaller encoding, raise --store-max-mb, or set --store-dir to keep evicted captures on disk.`,
+          frames: frameList.filter(frame => !dropped.includes(frame))
+        };
+      }
+
+      return {
+        success: true,
+        recordingId,
+        format,
+        frameCount: frames.length,
+        durationMs: elapsed,
+        frames: frameList
+      };
+    }
+
+    // Frame delays follow the actual capture timestamps
+    const delays = frames.map((frame, index) => index < frames.length - 1
+      ? Math.max(20, frames[index + 1].timestamp - frame.timestamp)
+      : Math.round(interval));
+    const animation = await imageHelpers.encodeAnimation(frames.map(frame => frame.buffer), delays, format, encoding);
+    const data = animation.buffer.toString('base64');
+    const stored = captureStore.add(recordingId, animation.buffer, animation.mimeType, {
+      kind: 'recording',
+      source,
+      frameCount: frames.length,
+      durationMs: elapsed,
+      width: animation.settings.width,
+      height: animation.settings.height,
+      encoding: animation.settings
+    });
+    await resourceNotifier.update();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Recording ${recordingId} finished: ${frames.length} frames over ${(elapsed / 1000).toFixed(1)}s, ${stored ? `stored as screenshot://${recordingId}` : `not stored: ${captureStore.describeRejection(animation.buffer.length)}`}. ${imageHelpers.describeEncoding(animation.settings)}`,
+        },
+        {
+          type: "image",
+          mimeType: animation.mimeType,
+          data,
+        },
+      ],
+      isError: false
+    };
+  },
+
+  // Tracks a background recording until it ends, then keeps only a small summary
+  track(recordingId, state, promise) {
+    this.active.set(recordingId, { state, promise });
+    promise.then(result => {
+      this.active.delete(recordingId);
+      this.finished.set(recordingId, result.content
+        ? { success: true, recordingId, message: `${result.content[0].text}. It ended on its own when its duration elapsed.` }
+        : result);
+      if (this.finished.size > this.maxFinished) {
+        this.finished.delete(this.finished.keys().next().value);
+      }
+    });
+  },
+
+  // Requests a running recording to stop and waits for its result
+  async stop(recordingId) {
+    const entry = this.active.get(recordingId);
+    if (!entry) {
+      const finished = this.finished.get(recordingId);
+      if (finished) {
+        this.finished.delete(recordingId);
+        return finished;
+      }
+      return { success: false, error: `Recording not found: ${recordingId}. Active recordings: ${[...this.active.keys()].join(', ') || 'none'}` };
+    }
+    entry.state.stopRequested = true;
+    const result = await entry.promise;
+    this.finished.delete(recordingId);
+    return result;
+  }
+};
+
+// Applications started by launch_app, tracked by pid so close_app can fall back
+// to signals and so they are stopped when the session ends. On POSIX systems each
+// application gets its own process group, which also covers launcher scripts.
+const appRegistry = {
+  entries: new Map(),
+  stderrLimit: 4096,
+
+  // Splits a desktop entry Exec value into arguments and drops the field codes
+  // (%f, %U, ...) that only make sense when a file manager passes files
+  parseExec(exec) {
+    const tokens = [];
+    let current = null;
+    let quoted = false;
+    for (let i = 0; i < exec.length; i++) {
+      const char = exec[i];
+      if (quoted) {
+        if (char === '\\' && i + 1 < exec.length) {
+          current += exec[++i];
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+        current = current || '';
+      } else if (/\s/.test(char)) {
+        if (current !== null) tokens.push(current);
+        current = null;
+      } else {
+        current = (current || '') + char;
+      }
+    }
+    if (current !== null) tokens.push(current);
+    return tokens
+      .filter(token => !/^%[fFuUdDnNickvm]$/.test(token))
+      .map(token => token.replace(/%%/g, '%'));
+  },
+
+  // Finds a desktop entry by path or by id (with or without .desktop) in the XDG
+  // application directories and returns its Exec arguments and working directory
+  readDesktopEntry(desktopEntry) {
+    const name = desktopEntry.endsWith('.desktop') ? desktopEntry : `${desktopEntry}.desktop`;
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    const dataDirs = (process.env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':');
+    const candidates = path.isAbsolute(desktopEntry)
+      ? [desktopEntry]
+      : [dataHome, ...dataDirs].map(dir => path.join(dir, 'applications', name));
+    const file = candidates.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      throw new Error(`Desktop entry "${desktopEntry}" not found (looked in: ${candidates.join(', ')})`);
+    }
+
+    let inMainSection = false;
+    const values = {};
+    for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      if (/^\s*\[/.test(line)) {
+        inMainSection = line.trim() === '[Desktop Entry]';
+      } else if (inMainSection) {
+        const match = /^\s*(Exec|Path)\s*=\s*(.*)$/.exec(line);
+        if (match && values[match[1]] === undefined) values[match[1]] = match[2].trim();
+      }
+    }
+    if (!values.Exec) {
+      throw new Error(`Desktop entry ${file} has no Exec line`);
+    }
+    return { argv: this.parseExec(values.Exec), cwd: values.Path || undefined };
+  },
+
+  // Works out what to spawn: an executable, a Linux desktop entry or a macOS .app bundle
+  async resolveCommand({ command, args = [], desktopEntry, cwd }) {
+    if (desktopEntry) {
+      const entry = this.readDesktopEntry(desktopEntry);
+      return { file: entry.argv[0], args: [...entry.argv.slice(1), ...args], cwd: cwd || entry.cwd };
+    }
+    if (isMacOS && /\.app\/?$/.test(command) && fs.existsSync(command)) {
+      // Run the bundle's executable directly; `open -a` would not tell us its pid
+      const bundle = command.replace(/\/$/, '');
+      const executable = (await runProcess('plutil', [
+        '-extract', 'CFBundleExecutable', 'raw', '-o', '-', path.join(bundle, 'Contents', 'Info.plist')
+      ])).trim();
+      return { file: path.join(bundle, 'Contents', 'MacOS', executable), args, cwd };
+    }
+    return { file: command, args, cwd };
+  },
+
+  // Spawns the application and resolves once it is running (or rejects when it
+  // cannot be started at all, e.g. a missing executable)
+  start({ file, args, cwd, env, keepAfterSession = false }) {
+    return new Promise((resolve, reject) => {
+      const child = backend.process.spawn(file, args, {
+        cwd,
+        env: env ? { ...process.env, ...env } : process.env,
+        // An application kept after the session must not write into a closed pipe
+        stdio: ['ignore', 'ignore', keepAfterSession ? 'ignore' : 'pipe'],
+        detached: !isWindows
+      });
+
+      const entry = { pid: null, file, args, startedAt: Date.now(), keepAfterSession, exited: false, exitCode: null, signal: null, stderr: '' };
+      if (child.stderr) {
+        child.stderr.on('data', chunk => {
+          entry.stderr = (entry.stderr + chunk.toString()).slice(-this.stderrLimit);
+        });
+      }
+      child.on('exit', (code, signal) => {
+        entry.exited = true;
+        entry.exitCode = code;
+        entry.signal = signal;
+        this.entries.delete(entry.pid);
+      });
+      child.once('error', reject);
+      child.once('spawn', () => {
+        entry.pid = child.pid;
+        this.entries.set(child.pid, entry);
+        if (keepAfterSession) {
+          child.unref();
+        }
+        resolve(entry);
+      });
+    });
+  },
+
+  isRunning(pid) {
+    const entry = this.entries.get(pid);
+    if (entry) {
+      return !entry.exited;
+    }
+    try {
+      backend.process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  },
+
+  // Signals a tracked application, including its process group where there is one
+  signal(pid, signal) {
+    try {
+      backend.process.kill(isWindows ? pid : -pid, signal);
+    } catch (error) {
+      try {
+        backend.process.kill(pid, signal);
+      } catch (innerError) {
+        // Already gone
+      }
+    }
+  },
+
+  list() {
+    return Array.from(this.entries.values()).map(({ pid, file, args, startedAt, keepAfterSession }) => ({
+      pid,
+      command: [file, ...args].join(' '),
+      runningForMs: Date.now() - startedAt,
+      keepAfterSession
+    }));
+  },
+
+  // Terminates every tracked application not marked keepAfterSession. Runs from
+  // exit handlers, so it only sends signals and does not wait.
+  stopAll() {
+    const stopped = [];
+    for (const entry of Array.from(this.entries.values())) {
+      if (entry.keepAfterSession || entry.exited) continue;
+      this.signal(entry.pid, 'SIGTERM');
+      stopped.push(entry.pid);
+    }
+    return stopped;
+  }
+};
+
+// Sends resources/list_changed only when the set of listed resources (stored
+// captures and open windows) differs from what clients were last told about.
+// Window ids are only refreshed by callers that already have a window list.
+const resourceNotifier = {
+  captureIds: '',
+  windowIds: '',
+
+  async update({ windows } = {}) {
+    const captureIds = captureStore.list().map(entry => entry.id).sort().join(',');
+    const windowIds = windows
+      ? windows.filter(window => window && window.id).map(window => window.id).sort((a, b) => a - b).join(',')
+      : this.windowIds;
+    if (captureIds === this.captureIds && windowIds === this.windowIds) {
+      return false;
+    }
+
+    this.captureIds = captureIds;
+    this.windowIds = windowIds;
+    try {
+      await server.server.sendResourceListChanged();
+    } catch (error) {
+      debugLog(`RESOURCES DEBUG: list changed notification failed: ${error.message}\n`);
+    }
+    return true;
+  }
+};
+
+// Background watcher that diffs window list snapshots and records lifecycle
+// events (opened, closed, bounds_changed, title_changed, focus_changed) for the
+// window://events resource. It runs while enabled through watch_windows or
+// --watch-windows, or while a client is subscribed to window://events.
+const windowWatcher = {
+  enabled: args.includes('--watch-windows'),
+  subscribed: false,
+  intervalMs: Math.max(100, getNumberArg('window-watch-interval', 1000)),
+  apps: (getArgValue('window-watch-apps') || '').split(',').map(app => app.trim()).filter(Boolean),
+  events: [],
+  maxEvents: 200,
+  sequence: 0,
+  snapshot: null,
+  activeId: null,
+  timer: null,
+
+  isRunning() {
+    return this.timer !== null;
+  },
+
+  // Starts or stops polling to match enabled/subscribed. A new run starts from a
+  // fresh snapshot, so changes made while nobody was watching are not reported.
+  refresh() {
+    const shouldRun = this.enabled || this.subscribed;
+    if (shouldRun && !this.timer) {
+      this.snapshot = null;
+      this.schedule(0);
+    } else if (!shouldRun && this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  },
+
+  schedule(delay) {
+    // Polls are chained rather than on an interval, so a slow window list never
+    // overlaps the next poll. A chain ends once its timer is no longer the current one.
+    const timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        debugLog(`WINDOW WATCH DEBUG: poll failed: ${error.message}\n`);
+      }
+      if (this.timer === timer) {
+        this.schedule(this.intervalMs);
+      }
+    }, delay);
+    timer.unref();
+    this.timer = timer;
+  },
+
+  matchesApps(window) {
+    if (this.apps.length === 0) return true;
+    if (!window) return false;
+    const names = [window.owner, window.bundleId].filter(Boolean).map(name => name.toLowerCase());
+    return this.apps.some(app => names.includes(app.toLowerCase()));
+  },
+
+  record(type, window, details = {}) {
+    this.sequence += 1;
+    this.events.push({
+      sequence: this.sequence,
+      type,
+      timestamp: new Date().toISOString(),
+      windowId: window.id,
+      title: window.title,
+      owner: window.owner,
+      processId: window.processId,
+      ...details
+    });
+    if (this.events.length > this.maxEvents) {
+      this.events.splice(0, this.events.length - this.maxEvents);
+    }
+  },
+
+  async poll() {
+    const windows = (await backend.windows.getOpenWindows() || []).filter(window => window && window.id);
+    const active = await backend.windows.getActiveWindow();
+    const current = new Map(windows.map(window => [window.id, {
+      id: window.id,
+      title: window.title || '',
+      owner: window.owner?.name || 'Unknown',
+      bundleId: window.owner?.bundleId || '',
+      processId: window.owner?.processId || 0,
+      bounds: { ...window.bounds }
+    }]));
+    const activeId = active ? active.id : null;
+
+    // The first poll of a run is only the baseline
+    if (!this.snapshot) {
+      this.snapshot = current;
+      this.activeId = activeId;
+      return;
+    }
+
+    const before = this.sequence;
+    for (const [id, window] of current) {
+      const previous = this.snapshot.get(id);
+      if (!this.matchesApps(window)) continue;
+      if (!previous) {
+        this.record('opened', window, { bounds: window.bounds });
+        continue;
+      }
+      if (previous.title !== window.title) {
+        this.record('title_changed', window, { previousTitle: previous.title });
+      }
+      const a = previous.bounds;
+      const b = window.bounds;
+      if (a.x !== b.x || a.y !== b.y || a.width !== b.width || a.height !== b.height) {
+        this.record('bounds_changed', window, { previousBounds: a, bounds: b });
+      }
+    }
+    for (const [id, window] of this.snapshot) {
+      if (!current.has(id) && this.matchesApps(window)) {
+        this.record('closed', window);
+      }
+    }
+    if (activeId !== this.activeId) {
+      const focused = current.get(activeId);
+      const previous = current.get(this.activeId) || this.snapshot.get(this.activeId);
+      if (this.matchesApps(focused) || this.matchesApps(previous)) {
+        this.record('focus_changed', focused || { id: activeId }, {
+          previousWindowId: this.activeId,
+          previousTitle: previous ? previous.title : undefined
+        });
+      }
+    }
+
+    this.snapshot = current;
+    this.activeId = activeId;
+
+    // Opened and closed windows change the window:// resource list
+    await resourceNotifier.update({ windows });
+    if (this.sequence !== before && this.subscribed) {
+      try {
+        await server.server.sendResourceUpdated({ uri: 'window://events' });
+      } catch (error) {
+        debugLog(`WINDOW WATCH DEBUG: update notification failed: ${error.message}\n`);
+      }
+    }
+  },
+
+  describe() {
+    return {
+      watching: this.isRunning(),
+      enabled: this.enabled,
+      subscribed: this.subscribed,
+      intervalMs: this.intervalMs,
+      apps: this.apps,
+      lastSequence: this.sequence
+    };
+  }
+};
+
+// Implementation of capabilities
+const capabilityImplementations = {
+  screen_capture: async (params = {}) => {
+    try {
+      // Pick the requested display (primary by default)
+      const displays = await displayHelpers.listDisplays();
+      const display = params.displayId !== undefined
+        ? displayHelpers.findById(displays, params.displayId)
+        : displays[0];
+      if (!display) {
+        return { success: false, error: `Display not found: ${params.displayId}. Available displays: ${displays.map(d => d.id).join(', ')}` };
+      }
+      
+      // Take a screenshot (compress to JPEG to reduce size)
+      let img = await displayHelpers.capture(display);
+      const sharp = require('sharp');
+      
+      // Get initial metadata
+      const metadata = await sharp(img).metadata();
+      const screenSize = { width: display.bounds.width, height: display.bounds.height };
+      
+      // Calculate scaling factor for Retina detection
+      const scaleX = metadata.width / screenSize.width;
+      const scaleY = metadata.height / screenSize.height;
+      const isHighDPI = scaleX > 1.5 || scaleY > 1.5;
+      
+      let sharpInstance = sharp(img);
+      
+      // If coordinates are provided, crop the image first
+      if (params.x1 !== undefined && params.y1 !== undefined && 
+          params.x2 !== undefined && params.y2 !== undefined) {
+        
+        let scaledX1, scaledY1, scaledX2, scaledY2;
+        
+        if (isHighDPI) {
+          // Apply scaling for high-DPI displays (Retina)
+          scaledX1 = Math.round(params.x1 * scaleX);
+          scaledY1 = Math.round(params.y1 * scaleY);
+          scaledX2 = Math.round(params.x2 * scaleX);
+          scaledY2 = Math.round(params.y2 * scaleY);
+        } else {
+          // Use coordinates as-is for standard displays
+          scaledX1 = params.x1;
+          scaledY1 = params.y1;
+          scaledX2 = params.x2;
+          scaledY2 = params.y2;
+        }
+        
+        const width = scaledX2 - scaledX1;
+        const height = scaledY2 - scaledY1;
+        
+        if (width <= 0 || height <= 0) {
+          throw new Error('Invalid coordinates: x2 must be greater than x1 and y2 must be greater than y1');
+        }
+        
+        sharpInstance = sharpInstance.extract({
+          left: scaledX1,
+          top: scaledY1,
+          width: width,
+          height: height
+        });
+      }
+      
+      // Always apply AI optimization for faster processing: scale, cap and compress
+      // (WebP quality 15, 50%, 1280x720, 300KB by default), stepping down to fit
+      // the size budget. The overlay is drawn on the final image size so labels
+      // match what the AI sees.
+      const cropped = params.x1 !== undefined && params.y1 !== undefined &&
+        params.x2 !== undefined && params.y2 !== undefined;
+      const cursor = params.includeCursor
+        ? coordinateHelpers.locateCursor(cropped
+          ? { x: display.bounds.x + params.x1, y: display.bounds.y + params.y1, width: params.x2 - params.x1, height: params.y2 - params.y1 }
+          : display.bounds)
+        : null;
+      const encoded = await imageHelpers.encodeCapture(sharpInstance, params.encoding, params.overlay,
+        cursor && cursor.inside ? cursor.fraction : null);
+      img = encoded.buffer;
+      
+      const imgInBase64 = img.toString('base64');
+      const screenshotKey = captureStore.createId('screenshot');
+      
+      // Actual AI image dimensions
+      const aiImageWidth = encoded.width;
+      const aiImageHeight = encoded.height;
+
+      // Internal polling callers pass store: false to keep the screenshot list clean
+      let storedText = '';
+      if (params.store !== false) {
+        const stored = captureStore.add(screenshotKey, img, encoded.mimeType, {
+          kind: 'screen',
+          source: {
+            displayId: display.id,
+            region: cropped ? { x1: params.x1, y1: params.y1, x2: params.x2, y2: params.y2 } : undefined
+          },
+          width: aiImageWidth,
+          height: aiImageHeight,
+          scale: encoded.settings.scale,
+          encoding: encoded.settings
+        });
+        if (!stored) {
+          storedText = ` Not stored: ${captureStore.describeRejection(img.length)}.`;
+        }
+        await resourceNotifier.update();
+      }
+      
+      // Store screen capture metadata for coordinate transformations
+      // We will assume the AI sees the image at the size we report.
+      const aiActualWidth = aiImageWidth;
+      const aiActualHeight = aiImageHeight;
+      
+      const screenCaptureMetadata = {
+        originalSize: { width: metadata.width, height: metadata.height },
+        logicalScreenSize: { width: screenSize.width, height: screenSize.height },
+        display: { id: display.id, bounds: display.bounds },
+        reportedAiSize: { width: aiImageWidth, height: aiImageHeight },
+        aiImageSize: { width: aiActualWidth, height: aiActualHeight }, // What AI actually sees
+        encoding: encoded.settings,
+        timestamp: Date.now()
+      };
+      
+      // Store in global for mouse_move to access
+      if (!global.screenCaptureMetadata) {
+        global.screenCaptureMetadata = {};
+      }
+      global.lastScreenCapture = screenCaptureMetadata;
+      
+      let cursorText = '';
+      if (cursor) {
+        cursorText = cursor.inside
+          ? ` Cursor at screen (${cursor.screen.x}, ${cursor.screen.y}), image (${Math.round(cursor.fraction.x * aiImageWidth)}, ${Math.round(cursor.fraction.y * aiImageHeight)}).`
+          : ` Cursor at screen (${cursor.screen.x}, ${cursor.screen.y}), outside the captured area.`;
+      }
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Screenshot ${screenshotKey} taken. Display ${display.id === null ? 'primary' : display.id} at (${display.bounds.x}, ${display.bounds.y}), size: ${screenSize.width}x${screenSize.height}, AI sees: ${aiImageWidth}x${aiImageHeight}.${cursorText}${storedText} ${imageHelpers.describeEncoding(encoded.settings)}`,
+          },
+          {
+            type: "image",
+            mimeType: encoded.mimeType,
+            data: imgInBase64,
+          },
+        ],
+        isError: false
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  mouse_move: async (params) => {
+    try {
+      const { x, y, debug = false, windowId, motion } = params;
+      
+      // Add a timestamped log to mark the beginning of the function call
+      const timestamp = new Date().toISOString();
+      debugLog(`\n--- MOUSE_MOVE START ${timestamp} ---\n`, debug);
+      debugLog(`Params: ${JSON.stringify(params)}\n`, debug);
+      
+      // Store original coordinates for debug visualization
+      const originalX = x;
+      const originalY = y;
+      
+      let moveX = x;
+      let moveY = y;
+      
+      // Always focus window first if windowId is provided
+      const focusResult = await capabilityImplementations.focus_window({ windowId });
+      if (!focusResult.success) {
+        return focusResult;
+      }
+      // Wait for window to focus
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      // We only support window-relative coordinates now, as it's the only reliable method.
+      
+      if (!windowId) {
+        return { success: false, error: 'windowId is a required parameter for mouse_move.' };
+      }
+      
+      // Get or create metadata for this window along with its current bounds
+      const windowContext = await coordinateHelpers.getWindowContext(windowId, debug);
+      if (!windowContext.success) {
+        return windowContext;
+      }
+      const { metadata, targetWindow } = windowContext;
+
+      // Scale the AI's coordinates and add the window's origin to get the final screen coordinates
+      const { x: screenX, y: screenY, scaledX, scaledY, scaleX, scaleY } = coordinateHelpers.toScreenPoint(windowContext, x, y);
+      moveX = screenX;
+      moveY = screenY;
+
+      // Log the complete transformation for easy debugging
+      const logTimestamp = new Date().toISOString();
+      debugLog(`\n=== MOUSE_MOVE_TRANSFORM ${logTimestamp} ===\n`, debug);
+      debugLog(`  - AI Coords: (${x}, ${y})\n`, debug);
+      debugLog(`  - AI Image Size: ${metadata.aiImageSize.width}x${metadata.aiImageSize.height}\n`, debug);
+      debugLog(`  - Logical Window Size: ${metadata.originalLogicalSize.width}x${metadata.originalLogicalSize.height}\n`, debug);
+      debugLog(`  - Scale Factors: X=${scaleX.toFixed(3)}, Y=${scaleY.toFixed(3)}\n`, debug);
+      debugLog(`  - Scaled Coords: (${scaledX}, ${scaledY})\n`, debug);
+      debugLog(`  - Window Origin: (${targetWindow.bounds.x}, ${targetWindow.bounds.y})\n`, debug);
+      debugLog(`  - Final Screen Coords: (${moveX}, ${moveY})\n`, debug);
+      
+      await inputHelpers.moveMouse(moveX, moveY, motion);
+      
+      if (debug) {
+        const sharp = require('sharp');
+        const timestamp = Date.now();
+        
+        // First, if windowInsideCoordinates, capture and save the window with intended click point
+        try {
+          debugLog(`DEBUG: Attempting to capture window ${windowId} for debug...\n`, debug);
+          
+          const windowCapture = await capabilityImplementations.window_capture({ windowId, store: false });
+          
+          if (!windowCapture || windowCapture.isError) {
+            debugLog(`DEBUG: Window capture failed: ${windowCapture ? windowCapture.error : 'null response'}\n`, debug);
+          } else if (windowCapture.content && windowCapture.content[1]) {
+            const windowImgBuffer = Buffer.from(windowCapture.content[1].data, 'base64');
+            
+            // Get metadata to understand the image size
+            const windowMeta = await sharp(windowImgBuffer).metadata();
+            debugLog(`DEBUG: Window image size: ${windowMeta.width}x${windowMeta.height}, format: ${windowMeta.format}\n`, debug);
+            
+            // Create a red circle at the intended click position
+            const circleSize = 10;
+            
+            // The debug window image size should match the AI image size from metadata
+            const scaleFactorForDebugX = windowMeta.width / metadata.aiImageSize.width;
+            const scaleFactorForDebugY = windowMeta.height / metadata.aiImageSize.height;
+            
+            debugLog(`DEBUG: Using metadata scale - Window debug image: ${windowMeta.width}x${windowMeta.height}, AI saw: ${metadata.aiImageSize.width}x${metadata.aiImageSize.height}\n`, debug);
+            
+            const scaledX = Math.round(originalX * scaleFactorForDebugX);
+            const scaledY = Math.round(originalY * scaleFactorForDebugY);
+            
+            debugLog(`DEBUG: Original AI coordinates: (${originalX}, ${originalY}), Scaled for window capture: (${scaledX}, ${scaledY})\n`, debug);
+            debugLog(`DEBUG: Circle will be placed at top=${Math.round(scaledY - circleSize/2)}, left=${Math.round(scaledX - circleSize/2)}\n`, debug);
+            
+            const circle = Buffer.from(
+              `<svg width="${circleSize}" height="${circleSize}">
+                <circle cx="${circleSize/2}" cy="${circleSize/2}" r="${circleSize/2-1}" 
+                        fill="red" fill-opacity="0.7" stroke="darkred" stroke-width="2"/>
+                <circle cx="${circleSize/2}" cy="${circleSize/2}" r="1" fill="white"/>
+              </svg>`
+            );
+            
+            // Mark the intended position in the window capture with scaled coordinates
+            const markedWindow = await sharp(windowImgBuffer)
               .composite([{
                 input: circle,
                 top: Math.max(0, Math.round(scaledY - circleSize/2)),
@@ -656,7 +3678,7 @@ const capabilityImplementations = {
         }
         
         // Take a screenshot to show where the cursor is positioned
-        const screenshot = await capabilityImplementations.screen_capture();
+        const screenshot = await capabilityImplementations.screen_capture({ store: false });
         
         if (screenshot.isError === false) {
           // Get the actual cursor position from the system
@@ -713,7 +3735,7 @@ const capabilityImplementations = {
           
           const transformations = [];
           if (windowId) {
-            const windows = await require('active-win').getOpenWindows();
+            const windows = await backend.windows.getOpenWindows();
             const targetWindow = windows.find(w => w.id === windowId);
             if (targetWindow) {
               // Recalculate window-specific scaling for debug output
@@ -785,7 +3807,217 @@ const capabilityImplementations = {
       // Log any unexpected errors to the debug file for inspection
       const errorTimestamp = new Date().toISOString();
       const { debug = false } = params;
-      debugLog(`--- MOUSE_MOVE CRITICAL ERROR ${errorTimestamp} ---\n`, debug);
+      debugLog(`--- MOUSE_MOVE CRITICAL ERROR ${errorTimestamp} ---\n`, debug);
+      debugLog(`Error: ${error.message}\n`, debug);
+      debugLog(`Stack: ${error.stack}\n`, debug);
+      debugLog(`-------------------------------------\n`, debug);
+
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  mouse_click: async (params = {}) => {
+    try {
+      const { 
+        button = 'left', 
+        double = false, 
+        windowId, 
+        pressLength = 0,
+        x,
+        y,
+        motion,
+        debug = false
+      } = params;
+
+      // Add a timestamped log to mark the beginning of the function call
+      const timestamp = new Date().toISOString();
+      debugLog(`\n--- MOUSE_CLICK START ${timestamp} ---\n`, debug);
+      debugLog(`Params: ${JSON.stringify(params)}\n`, debug);
+
+      // Validate pressLength
+      if (pressLength < 0 || pressLength > 5000) {
+        debugLog(`MOUSE_CLICK ERROR: Invalid pressLength\n`, debug);
+        return { success: false, error: 'pressLength must be between 0 and 5000 milliseconds' };
+      }
+
+      // Always focus window first if windowId is provided
+      if (windowId) {
+        debugLog(`MOUSE_CLICK: Focusing window ${windowId}\n`, debug);
+        const focusResult = await capabilityImplementations.focus_window({ windowId });
+        if (!focusResult.success) {
+          debugLog(`MOUSE_CLICK ERROR: Failed to focus window: ${focusResult.error}\n`, debug);
+          return focusResult;
+        }
+        // Wait for window to focus
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+      
+      // If coordinates are provided, move mouse
+      if (x !== undefined && y !== undefined) {
+        debugLog(`MOUSE_CLICK: Calling mouse_move with x=${x}, y=${y}\n`, debug);
+        const moveResult = await capabilityImplementations.mouse_move({
+          x,
+          y,
+          windowId,
+          motion,
+          debug // Pass debug flag through
+        });
+        
+        if (!moveResult.success) {
+          debugLog(`MOUSE_CLICK ERROR: mouse_move failed: ${moveResult.error}\n`, debug);
+          return moveResult;
+        }
+        
+        // Small delay after move to ensure position is set
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      debugLog(`MOUSE_CLICK: Performing click action (button: ${button}, double: ${double}, pressLength: ${pressLength})\n`, debug);
+      if (pressLength > 0) {
+        // Hold mouse button for specified duration
+        robot.mouseToggle('down', button);
+        await new Promise(resolve => setTimeout(resolve, pressLength));
+        robot.mouseToggle('up', button);
+      } else {
+        // Quick click (default behavior)
+        if (double) {
+          debugLog(`MOUSE_CLICK: Trying native robotjs double-click with robot.mouseClick('${button}', true)\n`, debug);
+          // Try native robotjs double-click first
+          robot.mouseClick(button, true);
+          
+          // If that doesn't work, fall back to two clicks
+          // Uncomment these lines if native double-click doesn't work:
+          // robot.mouseClick(button);
+          // await new Promise(resolve => setTimeout(resolve, 200)); 
+          // robot.mouseClick(button);
+        } else {
+          debugLog(`MOUSE_CLICK: Executing single-click with robot.mouseClick('${button}')\n`, debug);
+          robot.mouseClick(button);
+        }
+      }
+
+      debugLog(`--- MOUSE_CLICK END ---\n`, debug);
+      return { success: true };
+    } catch (error) {
+      // Log any unexpected errors to the debug file for inspection
+      const errorTimestamp = new Date().toISOString();
+      const { debug = false } = params;
+      debugLog(`--- MOUSE_CLICK CRITICAL ERROR ${errorTimestamp} ---\n`, debug);
+      debugLog(`Error: ${error.message}\n`, debug);
+      debugLog(`Stack: ${error.stack}\n`, debug);
+      debugLog(`-------------------------------------\n`, debug);
+
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  mouse_drag: async (params = {}) => {
+    let buttonDown = false;
+    const { button = 'left' } = params;
+    try {
+      const {
+        windowId,
+        startX,
+        startY,
+        endX,
+        endY,
+        waypoints = [],
+        steps = 20,
+        duration = 500,
+        motion,
+        debug = false
+      } = params;
+
+      const timestamp = new Date().toISOString();
+      debugLog(`\n--- MOUSE_DRAG START ${timestamp} ---\n`, debug);
+      debugLog(`Params: ${JSON.stringify(params)}\n`, debug);
+
+      if (!windowId) {
+        return { success: false, error: 'windowId is a required parameter for mouse_drag.' };
+      }
+
+      // multiple_desktop_actions passes params without the tool schema, so check them here
+      const isCoordinate = value => typeof value === 'number' && Number.isFinite(value);
+      const missing = ['startX', 'startY', 'endX', 'endY'].filter(name => !isCoordinate(params[name]));
+      if (missing.length > 0) {
+        return { success: false, error: `mouse_drag requires numeric ${missing.join(', ')}` };
+      }
+      if (!Array.isArray(waypoints) || waypoints.some(point => !point || !isCoordinate(point.x) || !isCoordinate(point.y))) {
+        return { success: false, error: 'waypoints must be a list of { x, y } points with numeric coordinates' };
+      }
+
+      if (!Number.isInteger(steps) || steps < 1 || steps > 500) {
+        return { success: false, error: 'steps must be between 1 and 500' };
+      }
+
+      // An instant drag jumps from point to point, so explicit steps would be ignored
+      if (motion && motion.profile === 'instant' && params.steps !== undefined) {
+        return { success: false, error: "steps cannot be combined with motion.profile 'instant', which jumps straight between the drag points. Use 'linear' or 'human', or omit steps." };
+      }
+
+      if (!(duration >= 0 && duration <= 10000)) {
+        return { success: false, error: 'duration must be between 0 and 10000 milliseconds' };
+      }
+
+      // Always focus window first
+      const focusResult = await capabilityImplementations.focus_window({ windowId });
+      if (!focusResult.success) {
+        return focusResult;
+      }
+      // Wait for window to focus
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      // Resolve all points through the same transform mouse_move uses
+      const windowContext = await coordinateHelpers.getWindowContext(windowId, debug);
+      if (!windowContext.success) {
+        return windowContext;
+      }
+
+      const windowPoints = [{ x: startX, y: startY }, ...waypoints, { x: endX, y: endY }];
+      const screenPoints = windowPoints.map(point => coordinateHelpers.toScreenPoint(windowContext, point.x, point.y));
+      // The drag itself uses its own steps and duration; the motion profile shapes the path
+      const path = inputHelpers.buildMotionPath(screenPoints, { profile: 'linear', ...motion, steps });
+
+      debugLog(`MOUSE_DRAG: Screen path ${screenPoints.map(p => `(${p.x}, ${p.y})`).join(' -> ')}, ${path.length} steps over ${duration}ms\n`, debug);
+
+      await inputHelpers.moveMouse(screenPoints[0].x, screenPoints[0].y, motion);
+      // Small delay after move so the target registers the hover before the press
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      robot.mouseToggle('down', button);
+      buttonDown = true;
+
+      await inputHelpers.followPath(path, duration);
+
+      // Let the target process the final position before releasing
+      await new Promise(resolve => setTimeout(resolve, 50));
+      robot.mouseToggle('up', button);
+      buttonDown = false;
+
+      const end = screenPoints[screenPoints.length - 1];
+      debugLog(`--- MOUSE_DRAG END ---\n`, debug);
+      return {
+        success: true,
+        message: `Dragged from (${startX}, ${startY}) to (${endX}, ${endY}) in window ${windowId}`,
+        screenStart: { x: screenPoints[0].x, y: screenPoints[0].y },
+        screenEnd: { x: end.x, y: end.y },
+        steps: path.length
+      };
+    } catch (error) {
+      // Never leave the mouse button held down after a failed drag
+      if (buttonDown) {
+        try {
+          robot.mouseToggle('up', button);
+        } catch (releaseError) {
+          // Ignore release errors, the original error is more relevant
+        }
+      }
+
+      const errorTimestamp = new Date().toISOString();
+      const { debug = false } = params;
+      debugLog(`--- MOUSE_DRAG CRITICAL ERROR ${errorTimestamp} ---\n`, debug);
       debugLog(`Error: ${error.message}\n`, debug);
       debugLog(`Stack: ${error.stack}\n`, debug);
       debugLog(`-------------------------------------\n`, debug);
@@ -795,163 +4027,1029 @@ const capabilityImplementations = {
     }
   },
 
-  mouse_click: async (params = {}) => {
+  mouse_scroll: async (params = {}) => {
+    try {
+      const {
+        windowId,
+        x,
+        y,
+        deltaX = 0,
+        deltaY = 0,
+        unit = 'ticks',
+        delayMs = 0,
+        untilNoChange = false,
+        maxRepeats = 20,
+        changeThreshold = 0.5,
+        debug = false
+      } = params;
+
+      const timestamp = new Date().toISOString();
+      debugLog(`\n--- MOUSE_SCROLL START ${timestamp} ---\n`, debug);
+      debugLog(`Params: ${JSON.stringify(params)}\n`, debug);
+
+      if (!windowId) {
+        return { success: false, error: 'windowId is a required parameter for mouse_scroll.' };
+      }
+
+      if (deltaX === 0 && deltaY === 0) {
+        return { success: false, error: 'At least one of deltaX or deltaY must be non-zero' };
+      }
+
+      if (delayMs < 0 || delayMs > 5000) {
+        return { success: false, error: 'delayMs must be between 0 and 5000 milliseconds' };
+      }
+
+      // Focus the window and move to the scroll target (window center by default)
+      const focusResult = await capabilityImplementations.focus_window({ windowId });
+      if (!focusResult.success) {
+        return focusResult;
+      }
+      // Wait for window to focus
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const windowContext = await coordinateHelpers.getWindowContext(windowId, debug);
+      if (!windowContext.success) {
+        return windowContext;
+      }
+
+      const targetX = x !== undefined ? x : Math.round(windowContext.metadata.aiImageSize.width / 2);
+      const targetY = y !== undefined ? y : Math.round(windowContext.metadata.aiImageSize.height / 2);
+      const screenPoint = coordinateHelpers.toScreenPoint(windowContext, targetX, targetY);
+      robot.moveMouse(screenPoint.x, screenPoint.y);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      debugLog(`MOUSE_SCROLL: Window (${targetX}, ${targetY}) -> screen (${screenPoint.x}, ${screenPoint.y})\n`, debug);
+
+      // Scroll one tick (or one tick's worth of pixels) at a time so delayMs can pace the scroll
+      const stepSize = unit === 'pixels' ? inputHelpers.pixelsPerScrollTick : 1;
+      const performScroll = async () => {
+        let remainingX = deltaX;
+        let remainingY = deltaY;
+        while (remainingX !== 0 || remainingY !== 0) {
+          const stepX = Math.sign(remainingX) * Math.min(Math.abs(remainingX), stepSize);
+          const stepY = Math.sign(remainingY) * Math.min(Math.abs(remainingY), stepSize);
+          inputHelpers.scroll(stepX, stepY, unit);
+          remainingX -= stepX;
+          remainingY -= stepY;
+          if (delayMs > 0 && (remainingX !== 0 || remainingY !== 0)) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+          }
+        }
+      };
+
+      if (!untilNoChange) {
+        await performScroll();
+        debugLog(`--- MOUSE_SCROLL END ---\n`, debug);
+        return {
+          success: true,
+          message: `Scrolled by (${deltaX}, ${deltaY}) ${unit} at (${targetX}, ${targetY}) in window ${windowId}`
+        };
+      }
+
+      if (maxRepeats < 1 || maxRepeats > 100) {
+        return { success: false, error: 'maxRepeats must be between 1 and 100' };
+      }
+
+      // Scroll until the window content stops changing (end of list reached)
+      const captureWindow = async () => {
+        const capture = await capabilityImplementations.window_capture({ windowId, debug, store: false });
+        if (!capture || !capture.content || !capture.content[1]) {
+          throw new Error(`Window capture failed while scrolling: ${capture ? capture.error : 'null response'}`);
+        }
+        return Buffer.from(capture.content[1].data, 'base64');
+      };
+
+      let previousCapture = await captureWindow();
+      let repeats = 0;
+      let reachedEnd = false;
+      let lastChange = 0;
+
+      while (repeats < maxRepeats) {
+        // Re-position the pointer in case focusing the window for capture moved it
+        robot.moveMouse(screenPoint.x, screenPoint.y);
+        await performScroll();
+        repeats++;
+        // Give the application time to render the new scroll position
+        await new Promise(resolve => setTimeout(resolve, Math.max(200, delayMs)));
+
+        const currentCapture = await captureWindow();
+        lastChange = await imageHelpers.diffPercentage(previousCapture, currentCapture);
+        debugLog(`MOUSE_SCROLL: Repeat ${repeats}, changed ${lastChange.toFixed(2)}%\n`, debug);
+
+        if (lastChange <= changeThreshold) {
+          reachedEnd = true;
+          break;
+        }
+        previousCapture = currentCapture;
+      }
+
+      debugLog(`--- MOUSE_SCROLL END ---\n`, debug);
+      return {
+        success: true,
+        message: reachedEnd ?
+          `Scrolled ${repeats} times until window ${windowId} stopped changing` :
+          `Scrolled ${repeats} times (maxRepeats reached) and window ${windowId} was still changing`,
+        repeats,
+        reachedEnd,
+        lastChangePercent: Number(lastChange.toFixed(2))
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  keyboard_type: async (params) => {
+    try {
+      const {
+        text,
+        windowId,
+        charDelayMs = 0,
+        method = 'keystrokes',
+        chunkSize = 0,
+        chunkDelayMs = 0
+      } = params;
+
+      if (charDelayMs < 0 || charDelayMs > 1000) {
+        return { success: false, error: 'charDelayMs must be between 0 and 1000 milliseconds' };
+      }
+
+      if (chunkSize < 0 || chunkDelayMs < 0 || chunkDelayMs > 10000) {
+        return { success: false, error: 'chunkSize must be 0 or more and chunkDelayMs must be between 0 and 10000 milliseconds' };
+      }
+
+      if (method === 'xdotool-type' && !isLinux) {
+        return { success: false, error: `The xdotool-type method is only available on Linux (current platform: ${platform})` };
+      }
+
+      // Focus window if windowId is provided
+      if (windowId) {
+        const focusResult = await capabilityImplementations.focus_window({ windowId });
+        if (!focusResult.success) {
+          return focusResult;
+        }
+        // Wait for window to focus
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      // Split long passages into chunks so slow applications can keep up
+      const chars = Array.from(text);
+      const chunks = [];
+      if (chunkSize > 0) {
+        for (let i = 0; i < chars.length; i += chunkSize) {
+          chunks.push(chars.slice(i, i + chunkSize).join(''));
+        }
+      } else {
+        chunks.push(text);
+      }
+
+      let pastedSegments = 0;
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+
+        if (method === 'clipboard-paste') {
+          await inputHelpers.pasteText(chunk);
+        } else if (method === 'xdotool-type') {
+          await backend.process.run('xdotool', ['type', '--delay', String(charDelayMs), '--', chunk], { timeout: 10000 + chunk.length * (charDelayMs + 20) });
+        } else {
+          // Keystrokes, falling back to a paste for characters robotjs cannot type
+          for (const segment of inputHelpers.splitTypeableSegments(chunk)) {
+            if (segment.typeable) {
+              await inputHelpers.typeText(segment.text, charDelayMs);
+            } else {
+              await inputHelpers.pasteText(segment.text);
+              pastedSegments++;
+            }
+          }
+        }
+
+        if (chunkDelayMs > 0 && i < chunks.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+        }
+      }
+
+      return {
+        success: true,
+        method,
+        characters: chars.length,
+        chunks: chunks.length,
+        ...(pastedSegments > 0 && { pastedSegments })
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  keyboard_press: async (params) => {
+    try {
+      const { key, combo, modifiers = [], windowId, pressLength = 0, chordDelay = 100 } = params;
+
+      // Validate pressLength
+      if (pressLength < 0 || pressLength > 5000) {
+        return { success: false, error: 'pressLength must be between 0 and 5000 milliseconds' };
+      }
+
+      if (chordDelay < 0 || chordDelay > 5000) {
+        return { success: false, error: 'chordDelay must be between 0 and 5000 milliseconds' };
+      }
+
+      // Parse and validate keys before touching the keyboard
+      let chords;
+      try {
+        if (combo) {
+          chords = keyHelpers.parseCombo(combo);
+        } else if (key) {
+          chords = [keyHelpers.buildChord(key, modifiers)];
+        } else {
+          return { success: false, error: 'Either key or combo must be provided' };
+        }
+      } catch (parseError) {
+        return { success: false, error: parseError.message };
+      }
+
+      // Focus window if windowId is provided
+      if (windowId) {
+        const focusResult = await capabilityImplementations.focus_window({ windowId });
+        if (!focusResult.success) {
+          return focusResult;
+        }
+        // Wait for window to focus
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      for (let i = 0; i < chords.length; i++) {
+        await keyHelpers.pressChord(chords[i], pressLength);
+        if (chordDelay > 0 && i < chords.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, chordDelay));
+        }
+      }
+
+      return combo ?
+        { success: true, pressed: chords.map(chord => keyHelpers.describeChord(chord)) } :
+        { success: true };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  key_down: async (params = {}) => {
     try {
-      const { 
-        button = 'left', 
-        double = false, 
-        windowId, 
-        pressLength = 0,
-        x,
-        y,
-        debug = false
-      } = params;
+      const { key, windowId, autoReleaseMs = heldInputRegistry.defaultAutoReleaseMs } = params;
 
-      // Add a timestamped log to mark the beginning of the function call
-      const timestamp = new Date().toISOString();
-      debugLog(`\n--- MOUSE_CLICK START ${timestamp} ---\n`, debug);
-      debugLog(`Params: ${JSON.stringify(params)}\n`, debug);
+      if (autoReleaseMs < 100 || autoReleaseMs > 300000) {
+        return { success: false, error: 'autoReleaseMs must be between 100 and 300000 milliseconds' };
+      }
 
-      // Validate pressLength
-      if (pressLength < 0 || pressLength > 5000) {
-        debugLog(`MOUSE_CLICK ERROR: Invalid pressLength\n`, debug);
-        return { success: false, error: 'pressLength must be between 0 and 5000 milliseconds' };
+      let resolvedKey;
+      try {
+        resolvedKey = keyHelpers.resolveModifier(keyHelpers.normalizeKey(key));
+      } catch (parseError) {
+        return { success: false, error: parseError.message };
       }
 
-      // Always focus window first if windowId is provided
+      // Focus window if windowId is provided
       if (windowId) {
-        debugLog(`MOUSE_CLICK: Focusing window ${windowId}\n`, debug);
         const focusResult = await capabilityImplementations.focus_window({ windowId });
         if (!focusResult.success) {
-          debugLog(`MOUSE_CLICK ERROR: Failed to focus window: ${focusResult.error}\n`, debug);
           return focusResult;
         }
         // Wait for window to focus
         await new Promise(resolve => setTimeout(resolve, 300));
       }
-      
-      // If coordinates are provided, move mouse
+
+      const alreadyHeld = heldInputRegistry.isHeld('key', resolvedKey);
+      if (!alreadyHeld) {
+        robot.keyToggle(resolvedKey, 'down');
+      }
+      heldInputRegistry.hold('key', resolvedKey, autoReleaseMs);
+
+      return {
+        success: true,
+        message: `Key "${resolvedKey}" ${alreadyHeld ? 'is still' : 'is now'} held down (auto-release in ${autoReleaseMs}ms)`,
+        held: heldInputRegistry.list()
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  key_up: async (params = {}) => {
+    try {
+      const { key } = params;
+
+      let resolvedKey;
+      try {
+        resolvedKey = keyHelpers.resolveModifier(keyHelpers.normalizeKey(key));
+      } catch (parseError) {
+        return { success: false, error: parseError.message };
+      }
+
+      if (!heldInputRegistry.release('key', resolvedKey)) {
+        // Not held by us, but send the release anyway in case it is stuck
+        robot.keyToggle(resolvedKey, 'up');
+        return { success: true, message: `Key "${resolvedKey}" was not held by key_down, sent a release anyway`, held: heldInputRegistry.list() };
+      }
+
+      return { success: true, message: `Key "${resolvedKey}" released`, held: heldInputRegistry.list() };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  mouse_down: async (params = {}) => {
+    try {
+      const { button = 'left', windowId, x, y, motion, autoReleaseMs = heldInputRegistry.defaultAutoReleaseMs, debug = false } = params;
+
+      if (autoReleaseMs < 100 || autoReleaseMs > 300000) {
+        return { success: false, error: 'autoReleaseMs must be between 100 and 300000 milliseconds' };
+      }
+
+      // If coordinates are provided, move mouse first (this also focuses the window)
       if (x !== undefined && y !== undefined) {
-        debugLog(`MOUSE_CLICK: Calling mouse_move with x=${x}, y=${y}\n`, debug);
-        const moveResult = await capabilityImplementations.mouse_move({
-          x,
-          y,
-          windowId,
-          debug // Pass debug flag through
-        });
-        
+        const moveResult = await capabilityImplementations.mouse_move({ x, y, windowId, motion, debug });
         if (!moveResult.success) {
-          debugLog(`MOUSE_CLICK ERROR: mouse_move failed: ${moveResult.error}\n`, debug);
           return moveResult;
         }
-        
         // Small delay after move to ensure position is set
         await new Promise(resolve => setTimeout(resolve, 50));
+      } else if (windowId) {
+        const focusResult = await capabilityImplementations.focus_window({ windowId });
+        if (!focusResult.success) {
+          return focusResult;
+        }
+        // Wait for window to focus
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      const alreadyHeld = heldInputRegistry.isHeld('mouse', button);
+      if (!alreadyHeld) {
+        robot.mouseToggle('down', button);
+      }
+      heldInputRegistry.hold('mouse', button, autoReleaseMs);
+
+      return {
+        success: true,
+        message: `Mouse button "${button}" ${alreadyHeld ? 'is still' : 'is now'} held down (auto-release in ${autoReleaseMs}ms)`,
+        held: heldInputRegistry.list()
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  mouse_up: async (params = {}) => {
+    try {
+      const { button = 'left', windowId, x, y, motion, debug = false } = params;
+
+      // Move to the release point first, e.g. to finish a modifier-held drag
+      if (x !== undefined && y !== undefined) {
+        const moveResult = await capabilityImplementations.mouse_move({ x, y, windowId, motion, debug });
+        if (!moveResult.success) {
+          // Never leave the button held because the move failed
+          heldInputRegistry.release('mouse', button);
+          return moveResult;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      if (!heldInputRegistry.release('mouse', button)) {
+        robot.mouseToggle('up', button);
+        return { success: true, message: `Mouse button "${button}" was not held by mouse_down, sent a release anyway`, held: heldInputRegistry.list() };
+      }
+
+      return { success: true, message: `Mouse button "${button}" released`, held: heldInputRegistry.list() };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  release_all: async () => {
+    try {
+      const released = heldInputRegistry.releaseAll();
+      return {
+        success: true,
+        message: released.length > 0 ? `Released ${released.length} held inputs` : 'No inputs were held',
+        released
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  clipboard_read: async (params = {}) => {
+    try {
+      const { format = 'text' } = params;
+
+      if (format === 'image') {
+        const png = await backend.clipboard.readImage();
+        const sharp = require('sharp');
+        const metadata = await sharp(png).metadata();
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Clipboard image read successfully. Size: ${metadata.width}x${metadata.height}, ${(png.length / 1024).toFixed(1)}KB`,
+            },
+            {
+              type: "image",
+              mimeType: "image/png",
+              data: png.toString('base64'),
+            },
+          ],
+          isError: false
+        };
+      }
+
+      const value = format === 'html' ? await backend.clipboard.readHtml() : await backend.clipboard.readText();
+      return { success: true, format, [format]: value };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  clipboard_write: async (params = {}) => {
+    try {
+      const { text, html, imageBase64, paste = false, windowId, restorePrevious = true } = params;
+
+      const provided = [text, html, imageBase64].filter(value => value !== undefined);
+      if (provided.length !== 1) {
+        return { success: false, error: 'Exactly one of text, html or imageBase64 must be provided' };
+      }
+
+      let image;
+      if (imageBase64 !== undefined) {
+        // Normalize any supported input image (PNG, JPEG, WebP) to PNG
+        const sharp = require('sharp');
+        image = await sharp(Buffer.from(imageBase64, 'base64')).png().toBuffer();
+      }
+
+      // Focus window if windowId is provided
+      if (windowId) {
+        const focusResult = await capabilityImplementations.focus_window({ windowId });
+        if (!focusResult.success) {
+          return focusResult;
+        }
+        // Wait for window to focus
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      const previous = paste && restorePrevious ? await clipboardHelpers.snapshot() : null;
+
+      if (image) {
+        await backend.clipboard.writeImage(image);
+      } else if (html !== undefined) {
+        await backend.clipboard.writeHtml(html);
+      } else {
+        await backend.clipboard.writeText(text);
+      }
+
+      const format = image ? 'image' : html !== undefined ? 'html' : 'text';
+      if (!paste) {
+        return { success: true, message: `Clipboard set (${format})` };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await clipboardHelpers.paste();
+
+      let restored = false;
+      if (previous) {
+        try {
+          await clipboardHelpers.restore(previous);
+          restored = true;
+        } catch (restoreError) {
+          return { success: true, message: `Pasted ${format}, but restoring the previous clipboard failed: ${restoreError.message}` };
+        }
+      }
+
+      return { success: true, message: `Pasted ${format}${restored ? ` and restored the previous clipboard (${previous.format} only)` : ''}` };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  find_image: async (params = {}) => {
+    try {
+      const {
+        referenceImage,
+        referenceScreenshotId,
+        referenceRegion,
+        windowId,
+        x1, y1, x2, y2,
+        threshold = 0.8,
+        scaleTolerance = 0,
+        grayscale = true,
+        maxMatches = 1
+      } = params;
+
+      const sharp = require('sharp');
+
+      // Load the reference image from base64 or a stored screenshot
+      let reference;
+      if (referenceImage) {
+        reference = Buffer.from(referenceImage, 'base64');
+      } else if (referenceScreenshotId) {
+        const stored = captureStore.get(referenceScreenshotId);
+        if (!stored) {
+          return { success: false, error: `Screenshot not found: ${referenceScreenshotId}` };
+        }
+        reference = stored.buffer;
+      } else {
+        return { success: false, error: 'Either referenceImage or referenceScreenshotId must be provided' };
+      }
+
+      if (referenceRegion) {
+        try {
+          reference = await sharp(reference).extract({
+            left: Math.round(referenceRegion.x),
+            top: Math.round(referenceRegion.y),
+            width: Math.round(referenceRegion.width),
+            height: Math.round(referenceRegion.height)
+          }).png().toBuffer();
+        } catch (extractError) {
+          return { success: false, error: `Invalid referenceRegion: ${extractError.message}` };
+        }
+      }
+
+      // Capture the search area through the regular capture pipeline so the
+      // match coordinates are in the same space the AI sees and mouse_click accepts
+      const capture = windowId ?
+        await capabilityImplementations.window_capture({ windowId, store: false }) :
+        await capabilityImplementations.screen_capture({ x1, y1, x2, y2, store: false });
+      if (!capture || !capture.content || !capture.content[1]) {
+        return { success: false, error: `Capture failed: ${capture ? capture.error : 'null response'}` };
+      }
+      const haystack = Buffer.from(capture.content[1].data, 'base64');
+
+      // Try scales spread evenly across the tolerance range, in 5% increments at most
+      const scales = [1];
+      if (scaleTolerance > 0) {
+        const count = Math.min(5, Math.ceil(scaleTolerance / 0.05));
+        for (let i = 1; i <= count; i++) {
+          const delta = (scaleTolerance * i) / count;
+          scales.push(1 - delta, 1 + delta);
+        }
+      }
+
+      const matches = await imageHelpers.findTemplate(haystack, reference, { threshold, grayscale, scales, maxMatches });
+      const haystackMeta = await sharp(haystack).metadata();
+
+      if (windowId) {
+        // The search capture leaves the window's coordinate space alone, so matches
+        // are translated into the space of the latest window_capture (or 1:1 window
+        // points without one), which is what mouse_click uses
+        const context = await coordinateHelpers.getWindowContext(windowId);
+        if (!context.success) {
+          return context;
+        }
+        const { bounds } = context.targetWindow;
+        const toWindowSpace = (x, y) => coordinateHelpers.fromWindowPoint(context,
+          x * bounds.width / haystackMeta.width, y * bounds.height / haystackMeta.height);
+        const { aiImageSize, zoomed } = context.metadata;
+        return {
+          success: true,
+          found: matches.length > 0,
+          coordinateSpace: `window ${windowId} image as used by mouse_click (${aiImageSize.width}x${aiImageSize.height}${zoomed ? ', zoomed' : ''}), use centerX/centerY with mouse_click`,
+          matches: matches.map(match => {
+            const topLeft = toWindowSpace(match.x, match.y);
+            const bottomRight = toWindowSpace(match.x + match.width, match.y + match.height);
+            const center = toWindowSpace(match.x + match.width / 2, match.y + match.height / 2);
+            return {
+              ...match,
+              x: topLeft.x,
+              y: topLeft.y,
+              width: bottomRight.x - topLeft.x,
+              height: bottomRight.y - topLeft.y,
+              centerX: center.x,
+              centerY: center.y
+            };
+          })
+        };
+      }
+
+      // Screen matches also get logical screen coordinates for reference
+      const screenSize = robot.getScreenSize();
+      const regionX = x1 !== undefined ? x1 : 0;
+      const regionY = y1 !== undefined ? y1 : 0;
+      const regionWidth = x2 !== undefined ? x2 - regionX : screenSize.width;
+      const regionHeight = y2 !== undefined ? y2 - regionY : screenSize.height;
+      return {
+        success: true,
+        found: matches.length > 0,
+        coordinateSpace: `screen capture (${haystackMeta.width}x${haystackMeta.height}); screenX/screenY are logical screen coordinates`,
+        matches: matches.map(match => ({
+          ...match,
+          screenX: Math.round(regionX + match.centerX * regionWidth / haystackMeta.width),
+          screenY: Math.round(regionY + match.centerY * regionHeight / haystackMeta.height)
+        }))
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  compare_captures: async (params = {}) => {
+    try {
+      const {
+        baselineScreenshotId,
+        baselineImage,
+        screenshotId,
+        image,
+        windowId,
+        pixelTolerance = 24,
+        minRegionArea = 16,
+        annotate = false
+      } = params;
+
+      const loadStored = (id) => {
+        const stored = captureStore.get(id);
+        if (!stored) {
+          throw new Error(`Screenshot not found: ${id}`);
+        }
+        return stored.buffer;
+      };
+
+      let baseline;
+      if (baselineScreenshotId) {
+        baseline = loadStored(baselineScreenshotId);
+      } else if (baselineImage) {
+        baseline = Buffer.from(baselineImage, 'base64');
+      } else {
+        return { success: false, error: 'Either baselineScreenshotId or baselineImage must be provided' };
+      }
+
+      // The second image is a stored screenshot, a given image or a fresh window capture
+      let current;
+      let source;
+      if (screenshotId) {
+        current = loadStored(screenshotId);
+        source = `screenshot ${screenshotId}`;
+      } else if (image) {
+        current = Buffer.from(image, 'base64');
+        source = 'provided image';
+      } else if (windowId) {
+        const capture = await capabilityImplementations.window_capture({ windowId, store: false });
+        if (!capture || !capture.content || !capture.content[1]) {
+          return { success: false, error: `Window capture failed: ${capture ? capture.error : 'null response'}` };
+        }
+        current = Buffer.from(capture.content[1].data, 'base64');
+        source = `fresh capture of window ${windowId}`;
+      } else {
+        return { success: false, error: 'One of screenshotId, image or windowId must be provided to compare against' };
+      }
+
+      const diff = await imageHelpers.diffRegions(baseline, current, { pixelTolerance, minRegionArea });
+      let coordinateSpace = `baseline image (${diff.width}x${diff.height})`;
+      let regions = diff.regions;
+
+      if (!screenshotId && !image) {
+        // The fresh capture covers the whole window and was compared at the
+        // baseline size, so region centers are translated like find_image
+        // matches into the space mouse_click uses
+        const context = await coordinateHelpers.getWindowContext(windowId);
+        if (!context.success) {
+          return context;
+        }
+        const { bounds } = context.targetWindow;
+        const { aiImageSize, zoomed } = context.metadata;
+        regions = diff.regions.map(region => {
+          const center = coordinateHelpers.fromWindowPoint(context,
+            (region.x + region.width / 2) * bounds.width / diff.width,
+            (region.y + region.height / 2) * bounds.height / diff.height);
+          return { ...region, centerX: center.x, centerY: center.y };
+        });
+        coordinateSpace += `; centerX/centerY are in the window ${windowId} image as used by mouse_click (${aiImageSize.width}x${aiImageSize.height}${zoomed ? ', zoomed' : ''})`;
+      }
+
+      const summary = {
+        success: true,
+        changed: diff.regions.length > 0,
+        changedPercent: diff.changedPercent,
+        coordinateSpace,
+        comparedWith: source,
+        ...(diff.resized && { note: 'Images had different sizes, the second image was resized to the baseline size' }),
+        regions
+      };
+
+      if (!annotate) {
+        return summary;
+      }
+
+      const annotated = await imageHelpers.annotateRegions(current, diff.regions, { width: diff.width, height: diff.height });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(summary),
+          },
+          {
+            type: "image",
+            mimeType: "image/webp",
+            data: annotated.toString('base64'),
+          },
+        ],
+        isError: false
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  wait_for_change: async (params = {}) => {
+    try {
+      const {
+        windowId,
+        x1, y1, x2, y2,
+        timeout = 10000,
+        pollInterval = 250,
+        changeThreshold = 0.5,
+        pixelTolerance = 16,
+        includeCapture = true
+      } = params;
+
+      const timingError = pollingHelpers.validateTiming({ timeout, pollInterval });
+      if (timingError) {
+        return { success: false, error: timingError };
+      }
+
+      const prepareResult = await pollingHelpers.prepareTarget({ windowId });
+      if (!prepareResult.success) {
+        return prepareResult;
+      }
+
+      const target = { windowId, x1, y1, x2, y2 };
+      const baseline = await pollingHelpers.captureTarget(target);
+      const startTime = Date.now();
+
+      while (Date.now() - startTime < timeout) {
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        const capture = await pollingHelpers.captureTarget(target);
+        const changedPercent = await imageHelpers.diffPercentage(baseline.buffer, capture.buffer, pixelTolerance);
+
+        if (changedPercent > changeThreshold) {
+          return pollingHelpers.buildResult({
+            success: true,
+            changed: true,
+            waitedMs: Date.now() - startTime,
+            changedPercent: Number(changedPercent.toFixed(2))
+          }, capture, includeCapture);
+        }
+      }
+
+      return { success: false, error: `Timed out after ${timeout}ms waiting for ${windowId ? `window ${windowId}` : 'the screen region'} to change` };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  wait_for_stable: async (params = {}) => {
+    try {
+      const {
+        windowId,
+        x1, y1, x2, y2,
+        stableMs = 1000,
+        timeout = 10000,
+        pollInterval = 250,
+        changeThreshold = 0.5,
+        pixelTolerance = 16,
+        includeCapture = true
+      } = params;
+
+      const timingError = pollingHelpers.validateTiming({ timeout, pollInterval });
+      if (timingError) {
+        return { success: false, error: timingError };
       }
 
-      debugLog(`MOUSE_CLICK: Performing click action (button: ${button}, double: ${double}, pressLength: ${pressLength})\n`, debug);
-      if (pressLength > 0) {
-        // Hold mouse button for specified duration
-        robot.mouseToggle('down', button);
-        await new Promise(resolve => setTimeout(resolve, pressLength));
-        robot.mouseToggle('up', button);
-      } else {
-        // Quick click (default behavior)
-        if (double) {
-          debugLog(`MOUSE_CLICK: Trying native robotjs double-click with robot.mouseClick('${button}', true)\n`, debug);
-          // Try native robotjs double-click first
-          robot.mouseClick(button, true);
-          
-          // If that doesn't work, fall back to two clicks
-          // Uncomment these lines if native double-click doesn't work:
-          // robot.mouseClick(button);
-          // await new Promise(resolve => setTimeout(resolve, 200)); 
-          // robot.mouseClick(button);
-        } else {
-          debugLog(`MOUSE_CLICK: Executing single-click with robot.mouseClick('${button}')\n`, debug);
-          robot.mouseClick(button);
+      if (stableMs < 0 || stableMs > 60000) {
+        return { success: false, error: 'stableMs must be between 0 and 60000 milliseconds' };
+      }
+
+      const prepareResult = await pollingHelpers.prepareTarget({ windowId });
+      if (!prepareResult.success) {
+        return prepareResult;
+      }
+
+      const target = { windowId, x1, y1, x2, y2 };
+      let previous = await pollingHelpers.captureTarget(target);
+      const startTime = Date.now();
+      let stableSince = startTime;
+
+      while (Date.now() - startTime < timeout) {
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        const capture = await pollingHelpers.captureTarget(target);
+        const changedPercent = await imageHelpers.diffPercentage(previous.buffer, capture.buffer, pixelTolerance);
+        previous = capture;
+
+        if (changedPercent > changeThreshold) {
+          stableSince = Date.now();
+        } else if (Date.now() - stableSince >= stableMs) {
+          return pollingHelpers.buildResult({
+            success: true,
+            stable: true,
+            waitedMs: Date.now() - startTime,
+            stableForMs: Date.now() - stableSince
+          }, capture, includeCapture);
         }
       }
 
-      debugLog(`--- MOUSE_CLICK END ---\n`, debug);
-      return { success: true };
+      return { success: false, error: `Timed out after ${timeout}ms waiting for ${windowId ? `window ${windowId}` : 'the screen region'} to stay unchanged for ${stableMs}ms` };
     } catch (error) {
-      // Log any unexpected errors to the debug file for inspection
-      const errorTimestamp = new Date().toISOString();
-      const { debug = false } = params;
-      debugLog(`--- MOUSE_CLICK CRITICAL ERROR ${errorTimestamp} ---\n`, debug);
-      debugLog(`Error: ${error.message}\n`, debug);
-      debugLog(`Stack: ${error.stack}\n`, debug);
-      debugLog(`-------------------------------------\n`, debug);
-
       // Error captured silently to avoid interfering with MCP protocol
       return { success: false, error: error.message };
     }
   },
 
-  keyboard_type: async (params) => {
+  get_pixel_color: async (params = {}) => {
     try {
-      const { text, windowId } = params;
+      const { windowId, x, y, radius = 0 } = params;
 
-      // Focus window if windowId is provided
-      if (windowId) {
-        const focusResult = await capabilityImplementations.focus_window({ windowId });
-        if (!focusResult.success) {
-          return focusResult;
-        }
-        // Wait for window to focus
-        await new Promise(resolve => setTimeout(resolve, 300));
+      if (!windowId) {
+        return { success: false, error: 'windowId is a required parameter for get_pixel_color.' };
       }
 
-      robot.typeString(text);
-      return { success: true };
+      if (radius < 0 || radius > 10) {
+        return { success: false, error: 'radius must be between 0 and 10 pixels' };
+      }
+
+      // Map through the same window metadata mouse_move uses
+      const windowContext = await coordinateHelpers.getWindowContext(windowId);
+      if (!windowContext.success) {
+        return windowContext;
+      }
+      const screenPoint = coordinateHelpers.toScreenPoint(windowContext, x, y);
+
+      const color = await imageHelpers.sampleScreenColor(screenPoint.x, screenPoint.y, radius);
+      return {
+        success: true,
+        hex: imageHelpers.toHexColor(color),
+        rgb: color,
+        screenX: screenPoint.x,
+        screenY: screenPoint.y
+      };
     } catch (error) {
       // Error captured silently to avoid interfering with MCP protocol
       return { success: false, error: error.message };
     }
   },
 
-  keyboard_press: async (params) => {
+  wait_for_pixel: async (params = {}) => {
     try {
-      const { key, modifiers = [], windowId, pressLength = 0 } = params;
+      const {
+        windowId,
+        x,
+        y,
+        color,
+        tolerance = 16,
+        radius = 0,
+        timeout = 10000,
+        pollInterval = 100
+      } = params;
 
-      // Validate pressLength
-      if (pressLength < 0 || pressLength > 5000) {
-        return { success: false, error: 'pressLength must be between 0 and 5000 milliseconds' };
+      if (!windowId) {
+        return { success: false, error: 'windowId is a required parameter for wait_for_pixel.' };
       }
 
-      // Focus window if windowId is provided
-      if (windowId) {
-        const focusResult = await capabilityImplementations.focus_window({ windowId });
-        if (!focusResult.success) {
-          return focusResult;
-        }
-        // Wait for window to focus
-        await new Promise(resolve => setTimeout(resolve, 300));
+      if (radius < 0 || radius > 10) {
+        return { success: false, error: 'radius must be between 0 and 10 pixels' };
       }
 
-      if (pressLength > 0) {
-        // Hold key for specified duration
-        if (modifiers.length === 0) {
-          robot.keyToggle(key, 'down');
-          await new Promise(resolve => setTimeout(resolve, pressLength));
-          robot.keyToggle(key, 'up');
-        } else {
-          robot.keyToggle(key, 'down', modifiers);
-          await new Promise(resolve => setTimeout(resolve, pressLength));
-          robot.keyToggle(key, 'up');
+      const timingError = pollingHelpers.validateTiming({ timeout, pollInterval });
+      if (timingError) {
+        return { success: false, error: timingError };
+      }
+
+      let target;
+      try {
+        target = imageHelpers.parseColor(color);
+      } catch (parseError) {
+        return { success: false, error: parseError.message };
+      }
+
+      const windowContext = await coordinateHelpers.getWindowContext(windowId);
+      if (!windowContext.success) {
+        return windowContext;
+      }
+      const screenPoint = coordinateHelpers.toScreenPoint(windowContext, x, y);
+
+      const startTime = Date.now();
+      let current;
+      while (true) {
+        current = await imageHelpers.sampleScreenColor(screenPoint.x, screenPoint.y, radius);
+        if (imageHelpers.colorDistance(current, target) <= tolerance) {
+          return {
+            success: true,
+            matched: true,
+            waitedMs: Date.now() - startTime,
+            hex: imageHelpers.toHexColor(current),
+            rgb: current
+          };
         }
-      } else {
-        // Quick tap (default behavior)
-        if (modifiers.length === 0) {
-          robot.keyTap(key);
-        } else {
-          robot.keyToggle(key, 'down', modifiers);
-          robot.keyToggle(key, 'up');
+        if (Date.now() - startTime + pollInterval > timeout) {
+          break;
         }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
       }
 
-      return { success: true };
+      return {
+        success: false,
+        error: `Timed out after ${timeout}ms waiting for pixel (${x}, ${y}) in window ${windowId} to become ${imageHelpers.toHexColor(target)}. Last color: ${imageHelpers.toHexColor(current)}`
+      };
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  record: async (params = {}) => {
+    try {
+      const {
+        windowId, displayId, x1, y1, x2, y2,
+        fps = 5, duration = 5000, format = 'webp', untilStopped = false,
+        includeCursor = false, encoding
+      } = params;
+
+      if (fps < 0.5 || fps > 15) {
+        return { success: false, error: 'fps must be between 0.5 and 15' };
+      }
+      if (duration < 100 || duration > 60000) {
+        return { success: false, error: 'duration must be between 100 and 60000 milliseconds' };
+      }
+
+      // Every frame of a "frames" recording is a capture of its own, so they must
+      // all fit in the capture store or the recording evicts its own first frames
+      const maxFrames = Math.ceil(fps * duration / 1000);
+      if (format === 'frames' && maxFrames > captureStore.maxEntries) {
+        return {
+          success: false,
+          error: `format "frames" stores each frame as a capture, but the capture store holds ${captureStore.maxEntries} captures and ${fps} fps for ${duration}ms needs up to ${maxFrames}. Lower fps or duration, raise --store-max-entries, or record as webp/gif.`
+        };
+      }
+
+      const focusResult = await pollingHelpers.prepareTarget({ windowId });
+      if (!focusResult.success) {
+        return { success: false, error: `Failed to focus window: ${focusResult.error}` };
+      }
+
+      // Frames for animations are captured at high quality and compressed once at the end
+      const frameEncoding = format === 'frames'
+        ? encoding
+        : { ...encoding, format: 'jpeg', quality: 85, maxKB: 5000 };
+      const target = { windowId, displayId, x1, y1, x2, y2, includeCursor, encoding: frameEncoding };
+      const recordingId = captureStore.createId('recording');
+      const source = windowId ? { windowId } : { displayId, region: x1 !== undefined ? { x1, y1, x2, y2 } : undefined };
+      const state = { stopRequested: false };
+      const limits = { fps, duration, maxFrames };
+
+      const promise = recordingRegistry.captureFrames(target, limits, state)
+        .then(captured => recordingRegistry.finish(recordingId, captured, { format, encoding, source }))
+        .catch(error => ({ success: false, error: error.message }));
+
+      if (untilStopped) {
+        recordingRegistry.track(recordingId, state, promise);
+        return {
+          success: true,
+          recordingId,
+          message: `Recording started at ${fps} fps (stops automatically after ${duration}ms). Call stop_recording with recordingId "${recordingId}" to finish it.`
+        };
+      }
+
+      return await promise;
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  stop_recording: async (params = {}) => {
+    try {
+      return await recordingRegistry.stop(params.recordingId);
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  list_displays: async () => {
+    try {
+      const displays = await displayHelpers.listDisplays({ refresh: true });
+      return {
+        success: true,
+        result: displays.map(display => ({
+          ...display,
+          location: displayHelpers.describeLocation(display, displays[0])
+        }))
+      };
     } catch (error) {
       // Error captured silently to avoid interfering with MCP protocol
       return { success: false, error: error.message };
@@ -968,44 +5066,35 @@ const capabilityImplementations = {
     }
   },
 
-  list_windows: async () => {
+  list_windows: async (params = {}) => {
     try {
-      const activeWin = require('active-win');
-      const windows = await activeWin.getOpenWindows();
+      const { window: selector } = params;
+      const windows = await backend.windows.getOpenWindows();
       
       if (!windows || !Array.isArray(windows)) {
-        return { success: false, error: 'Failed to get window list - activeWin.getOpenWindows() returned null or invalid data' };
+        return { success: false, error: 'Failed to get window list - getOpenWindows() returned null or invalid data' };
       }
       
-      // Get primary screen dimensions for display detection
-      const primaryScreen = robot.getScreenSize();
+      // Get the display layout for display detection
+      const displays = await displayHelpers.listDisplays();
+      
+      // Windows are listed as window:// resources
+      await resourceNotifier.update({ windows });
+      
+      let listed = selector ? await windowSelectors.filter(windows, selector) : windows.filter(window => window && window.id);
+      if (selector && selector.index !== undefined) {
+        listed = listed.slice(selector.index, selector.index + 1);
+      }
       
       return {
         success: true,
-        result: windows.filter(window => window && window.id).map(window => {
+        result: listed.map(window => {
           const bounds = window.bounds || { x: 0, y: 0, width: 0, height: 0 };
           
-          // Determine if window is on primary display or secondary display
-          const isOnPrimaryDisplay = bounds.x >= 0 && 
-                                   bounds.y >= 0 && 
-                                   bounds.x < primaryScreen.width && 
-                                   bounds.y < primaryScreen.height;
-          
-          // Determine display location
-          let displayLocation = 'primary';
-          if (!isOnPrimaryDisplay) {
-            if (bounds.x < 0) {
-              displayLocation = 'secondary-left';
-            } else if (bounds.x >= primaryScreen.width) {
-              displayLocation = 'secondary-right';
-            } else if (bounds.y < 0) {
-              displayLocation = 'secondary-top';
-            } else if (bounds.y >= primaryScreen.height) {
-              displayLocation = 'secondary-bottom';
-            } else {
-              displayLocation = 'secondary-unknown';
-            }
-          }
+          // Determine which display the window is on
+          const display = displayHelpers.findForBounds(displays, bounds);
+          const isOnPrimaryDisplay = display.primary;
+          const displayLocation = displayHelpers.describeLocation(display, displays[0]);
           
           // Determine accessibility for mouse/keyboard actions
           // Note: Mouse movement works across all displays when using windowInsideCoordinates
@@ -1022,14 +5111,14 @@ const capabilityImplementations = {
             path: window.owner?.path || '',
             url: window.url || '',
             memoryUsage: window.memoryUsage || 0,
+            displayId: display.id,
             displayLocation: displayLocation,
             isOnPrimaryDisplay: isOnPrimaryDisplay,
+            selector: windowSelectors.stableSelector(window, windows),
             accessibility: {
               mouseActions: isAccessibleForMouse,
               windowActions: isAccessibleForWindowActions,
-              note: isOnPrimaryDisplay ? 
-                'All coordinate systems available' : 
-                'Use windowInsideCoordinates for reliable cross-display mouse control'
+              note: 'All coordinate systems available'
             }
           };
         })
@@ -1042,14 +5131,13 @@ const capabilityImplementations = {
 
   move_window_to_primary_screen: async (params) => {
     try {
-      const activeWin = require('active-win');
       const { windowId, preserveSize = true } = params;
       
       // Get all windows to find the target window
-      const windows = await activeWin.getOpenWindows();
+      const windows = await backend.windows.getOpenWindows();
       
       if (!windows || !Array.isArray(windows)) {
-        return { success: false, error: 'Failed to get window list - activeWin.getOpenWindows() returned null or invalid data' };
+        return { success: false, error: 'Failed to get window list - getOpenWindows() returned null or invalid data' };
       }
       
       const targetWindow = windows.find(w => w && w.id === windowId);
@@ -1059,12 +5147,10 @@ const capabilityImplementations = {
       }
       
       // Check if window is already on primary display
-      const primaryScreen = robot.getScreenSize();
+      const displays = await displayHelpers.listDisplays();
+      const primaryScreen = displays[0].bounds;
       const bounds = targetWindow.bounds;
-      const isOnPrimaryDisplay = bounds.x >= 0 && 
-                               bounds.y >= 0 && 
-                               bounds.x < primaryScreen.width && 
-                               bounds.y < primaryScreen.height;
+      const isOnPrimaryDisplay = displayHelpers.findForBounds(displays, bounds).primary;
       
       if (isOnPrimaryDisplay) {
         return { success: true, message: `Window ${windowId} is already on the primary screen` };
@@ -1076,20 +5162,20 @@ const capabilityImplementations = {
       
       if (preserveSize) {
         // Keep original size, center on primary screen
-        newX = Math.max(0, Math.min(50, primaryScreen.width - bounds.width));
-        newY = Math.max(0, Math.min(50, primaryScreen.height - bounds.height));
-        newWidth = Math.min(bounds.width, primaryScreen.width - newX);
-        newHeight = Math.min(bounds.height, primaryScreen.height - newY);
+        newX = primaryScreen.x + Math.max(0, Math.min(50, primaryScreen.width - bounds.width));
+        newY = primaryScreen.y + Math.max(0, Math.min(50, primaryScreen.height - bounds.height));
+        newWidth = Math.min(bounds.width, primaryScreen.x + primaryScreen.width - newX);
+        newHeight = Math.min(bounds.height, primaryScreen.y + primaryScreen.height - newY);
       } else {
         // Resize to fit primary screen comfortably
-        newX = 100;
-        newY = 100;
+        newX = primaryScreen.x + 100;
+        newY = primaryScreen.y + 100;
         newWidth = Math.min(bounds.width, primaryScreen.width - 200);
         newHeight = Math.min(bounds.height, primaryScreen.height - 200);
       }
       
       // Use cross-platform window helper
-      const moveResult = await windowHelpers.moveWindow(targetWindow, newX, newY, newWidth, newHeight);
+      const moveResult = await backend.windows.moveWindow(targetWindow, newX, newY, newWidth, newHeight);
       
       if (moveResult.success) {
         // Wait a moment for the window to move
@@ -1109,32 +5195,342 @@ const capabilityImplementations = {
     }
   },
 
-  focus_window: async (params) => {
+  focus_window: async (params) => {
+    try {
+      const { windowId } = params;
+      
+      // Get all windows to find the target window
+      const windows = await backend.windows.getOpenWindows();
+      
+      if (!windows || !Array.isArray(windows)) {
+        return { success: false, error: 'Failed to get window list - getOpenWindows() returned null or invalid data' };
+      }
+      
+      const targetWindow = windows.find(w => w && w.id === windowId);
+      
+      if (!targetWindow) {
+        return { success: false, error: `Window not found with ID: ${windowId}` };
+      }
+      
+      // Use cross-platform window helper
+      const focusResult = await backend.windows.focusWindow(targetWindow);
+      
+      if (focusResult.success) {
+        return { success: true, message: `Window ${windowId} focused successfully` };
+      } else {
+        return focusResult;
+      }
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  manage_window: async (params) => {
+    try {
+      const { windowId, action, enabled = true, timeout = 2000 } = params;
+      
+      const windows = await backend.windows.getOpenWindows();
+      
+      if (!windows || !Array.isArray(windows)) {
+        return { success: false, error: 'Failed to get window list - getOpenWindows() returned null or invalid data' };
+      }
+      
+      const targetWindow = windows.find(w => w && w.id === windowId);
+      
+      if (!targetWindow) {
+        return { success: false, error: `Window not found with ID: ${windowId}` };
+      }
+      
+      if (timeout < 0 || timeout > 30000) {
+        return { success: false, error: 'timeout must be between 0 and 30000 milliseconds' };
+      }
+      
+      const previousBounds = { ...targetWindow.bounds };
+      let requestedBounds = null;
+      if (action === 'set_bounds') {
+        // Omitted values keep the current position or size
+        requestedBounds = {
+          x: params.x ?? previousBounds.x,
+          y: params.y ?? previousBounds.y,
+          width: params.width ?? previousBounds.width,
+          height: params.height ?? previousBounds.height
+        };
+        if (requestedBounds.width <= 0 || requestedBounds.height <= 0) {
+          return { success: false, error: 'width and height must be positive' };
+        }
+      }
+      
+      const manageResult = await backend.windows.manageWindow(targetWindow, action, { ...requestedBounds, enabled });
+      if (!manageResult.success) {
+        return manageResult;
+      }
+      
+      // Window managers apply changes asynchronously, so poll active-win until the
+      // change shows up (or the timeout passes) and report what it actually reads
+      const sameBounds = (a, b, tolerance) => ['x', 'y', 'width', 'height'].every(key => Math.abs(a[key] - b[key]) <= tolerance);
+      // A window already in the target state does not change, so the target state
+      // is recognized by its bounds too: fullscreen windows cover their display
+      // exactly, maximized ones nearly (panels and docks stay visible)
+      const display = displayHelpers.findForBounds(await displayHelpers.listDisplays(), previousBounds).bounds;
+      const isFullscreen = (bounds) => sameBounds(bounds, display, 2);
+      const isMaximized = (bounds) => bounds.width >= display.width * 0.9 && bounds.height >= display.height * 0.8;
+      const inTargetState = (bounds) => {
+        if (action === 'maximize') return isMaximized(bounds);
+        if (action === 'fullscreen') return enabled ? isFullscreen(bounds) : !isFullscreen(bounds);
+        if (action === 'restore') return !isMaximized(bounds);
+        return false;
+      };
+      const settled = (window) => {
+        if (action === 'close') return !window;
+        if (!window) return false;
+        if (action === 'set_bounds') return sameBounds(window.bounds, requestedBounds, 2);
+        if (['maximize', 'restore', 'fullscreen'].includes(action)) {
+          return !sameBounds(window.bounds, previousBounds, 0) || inTargetState(window.bounds);
+        }
+        return true;
+      };
+      
+      const startTime = Date.now();
+      let window;
+      while (true) {
+        window = (await backend.windows.getOpenWindows() || []).find(w => w && w.id === windowId);
+        if (settled(window) || Date.now() - startTime >= timeout) break;
+        await new Promise(resolve => setTimeout(resolve, 150));
+      }
+      
+      // Cached window_capture scaling no longer applies once the window has moved
+      if (global.windowCaptureMetadata && (!window || !sameBounds(window.bounds, previousBounds, 0))) {
+        delete global.windowCaptureMetadata[windowId];
+      }
+      await resourceNotifier.update({ windows: await backend.windows.getOpenWindows() });
+      
+      const label = action === 'always_on_top' || action === 'fullscreen' ? `${action} ${enabled ? 'on' : 'off'}` : action;
+      if (action === 'close') {
+        return window
+          ? { success: false, windowId, action, error: `Window ${windowId} is still open after ${timeout}ms; the application may be asking to save changes` }
+          : { success: true, windowId, action, message: `Window ${windowId} closed`, windowFound: false };
+      }
+      if (!window) {
+        return { success: false, windowId, action, error: `Window ${windowId} disappeared after ${label}` };
+      }
+      
+      const result = {
+        success: true,
+        windowId,
+        action,
+        message: `Window ${windowId}: ${label} applied, bounds now (${window.bounds.x}, ${window.bounds.y}) ${window.bounds.width}x${window.bounds.height}`,
+        previousBounds,
+        bounds: window.bounds,
+        windowFound: true
+      };
+      if (requestedBounds) {
+        result.requestedBounds = requestedBounds;
+        result.matchesRequested = sameBounds(window.bounds, requestedBounds, 2);
+        if (!result.matchesRequested) {
+          result.message += ` (requested (${requestedBounds.x}, ${requestedBounds.y}) ${requestedBounds.width}x${requestedBounds.height}; the window manager or a minimum size constraint adjusted it)`;
+        }
+      }
+      return result;
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  watch_windows: async (params = {}) => {
+    try {
+      const { enabled = true, intervalMs, apps, since } = params;
+
+      windowWatcher.enabled = enabled;
+      if (intervalMs !== undefined) {
+        windowWatcher.intervalMs = intervalMs;
+      }
+      if (apps !== undefined) {
+        windowWatcher.apps = apps;
+      }
+      windowWatcher.refresh();
+
+      const result = {
+        success: true,
+        message: windowWatcher.isRunning()
+          ? `Watching windows every ${windowWatcher.intervalMs}ms${windowWatcher.apps.length ? ` for ${windowWatcher.apps.join(', ')}` : ''}. Events are listed in window://events.`
+          : 'Window watcher stopped',
+        ...windowWatcher.describe()
+      };
+      if (since !== undefined) {
+        result.events = windowWatcher.events.filter(event => event.sequence > since);
+      }
+      return result;
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  launch_app: async (params = {}) => {
+    try {
+      const { command, args = [], desktopEntry, cwd, env, window: selector, timeout = 15000, keepAfterSession = false } = params;
+
+      if (!command && !desktopEntry) {
+        return { success: false, error: 'Either command or desktopEntry must be provided' };
+      }
+      if (selector?.title) {
+        // Reject a bad pattern before anything is started
+        windowSelectors.compileTitlePattern(selector.title);
+      }
+
+      const resolved = await appRegistry.resolveCommand({ command, args, desktopEntry, cwd });
+
+      // Windows that already exist cannot be the new application's window
+      const existingIds = new Set((await backend.windows.getOpenWindows() || []).map(w => w && w.id));
+
+      let entry;
+      try {
+        entry = await appRegistry.start({ ...resolved, env, keepAfterSession });
+      } catch (spawnError) {
+        return { success: false, error: `Failed to start ${resolved.file}: ${spawnError.message}` };
+      }
+
+      // The application is ready once a window owned by its pid shows up. A
+      // selector also accepts a new window of another process, for launchers
+      // and single-instance apps that hand off to an already running process.
+      const startTime = Date.now();
+      while (true) {
+        const windows = (await backend.windows.getOpenWindows() || []).filter(w => w && w.id);
+        let window = windows.find(w => w.owner && w.owner.processId === entry.pid);
+        if (!window && selector) {
+          window = (await windowSelectors.filter(windows, selector)).find(w => !existingIds.has(w.id));
+        }
+
+        if (window) {
+          await resourceNotifier.update({ windows });
+          return {
+            success: true,
+            pid: entry.pid,
+            windowId: window.id,
+            window: { id: window.id, title: window.title || 'Untitled', owner: window.owner?.name || 'Unknown', processId: window.owner?.processId || 0, bounds: window.bounds },
+            elapsedMs: Date.now() - startTime,
+            message: `Started ${resolved.file} (pid ${entry.pid}); window ${window.id} "${window.title || 'Untitled'}" is ready`
+          };
+        }
+
+        if (entry.exited) {
+          const stderr = entry.stderr.trim();
+          return {
+            success: false,
+            pid: entry.pid,
+            error: `${resolved.file} exited with ${entry.signal ? `signal ${entry.signal}` : `code ${entry.exitCode}`} before opening a window${selector ? '' : '. If it hands off to another process, pass a window selector'}${stderr ? `. stderr: ${stderr}` : ''}`
+          };
+        }
+
+        if (Date.now() - startTime >= timeout) {
+          return {
+            success: false,
+            pid: entry.pid,
+            error: `No window for pid ${entry.pid} appeared within ${timeout}ms. The process is still running and tracked; stop it with close_app({ pid: ${entry.pid} })`
+          };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  },
+
+  close_app: async (params = {}) => {
     try {
-      const activeWin = require('active-win');
-      const { windowId } = params;
-      
-      // Get all windows to find the target window
-      const windows = await activeWin.getOpenWindows();
-      
-      if (!windows || !Array.isArray(windows)) {
-        return { success: false, error: 'Failed to get window list - activeWin.getOpenWindows() returned null or invalid data' };
+      const { pid, windowId, all = false, force = false, timeout = 5000 } = params;
+
+      let pids;
+      if (all) {
+        pids = appRegistry.list().map(app => app.pid);
+        if (pids.length === 0) {
+          return { success: true, message: 'No applications started by launch_app are running', results: [] };
+        }
+      } else if (pid !== undefined) {
+        pids = [pid];
+      } else if (windowId !== undefined) {
+        const window = (await backend.windows.getOpenWindows() || []).find(w => w && w.id === windowId);
+        if (!window) {
+          return { success: false, error: `Window not found with ID: ${windowId}` };
+        }
+        if (!window.owner?.processId) {
+          return { success: false, error: `The process owning window ${windowId} is unknown` };
+        }
+        pids = [window.owner.processId];
+      } else {
+        return { success: false, error: 'One of pid, windowId, window or all must be provided' };
       }
-      
-      const targetWindow = windows.find(w => w && w.id === windowId);
-      
-      if (!targetWindow) {
-        return { success: false, error: `Window not found with ID: ${windowId}` };
+
+      const closeOne = async (targetPid) => {
+        const tracked = appRegistry.entries.has(targetPid);
+        const startTime = Date.now();
+        const ownWindows = async () => (await backend.windows.getOpenWindows() || []).filter(w => w && w.owner && w.owner.processId === targetPid);
+
+        if (force) {
+          if (!tracked) {
+            return { success: false, pid: targetPid, error: `Process ${targetPid} was not started by launch_app; only tracked processes are killed` };
+          }
+          appRegistry.signal(targetPid, 'SIGKILL');
+        } else {
+          // Graceful: ask each window to close, as the user clicking its close button would
+          const windows = await ownWindows();
+          if (!tracked && windows.length === 0) {
+            return { success: false, pid: targetPid, error: `Process ${targetPid} has no open windows and was not started by launch_app` };
+          }
+          for (const window of windows) {
+            await backend.windows.manageWindow(window, 'close', {});
+          }
+        }
+
+        let method = force ? 'SIGKILL' : 'closed windows';
+        let terminated = force;
+        while (Date.now() - startTime < timeout) {
+          const remaining = await ownWindows();
+          if (tracked ? !appRegistry.isRunning(targetPid) : remaining.length === 0) {
+            return { success: true, pid: targetPid, method, elapsedMs: Date.now() - startTime };
+          }
+          // Some applications keep running without windows; ask them to quit
+          if (tracked && !terminated && remaining.length === 0) {
+            appRegistry.signal(targetPid, 'SIGTERM');
+            method = 'SIGTERM';
+            terminated = true;
+          }
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+
+        if (!tracked) {
+          return { success: false, pid: targetPid, error: `Windows of process ${targetPid} are still open after ${timeout}ms (it may be asking to save changes). Only processes started by launch_app are killed.` };
+        }
+
+        appRegistry.signal(targetPid, 'SIGKILL');
+        const killTime = Date.now();
+        while (appRegistry.isRunning(targetPid) && Date.now() - killTime < 2000) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return appRegistry.isRunning(targetPid)
+          ? { success: false, pid: targetPid, error: `Process ${targetPid} is still running after SIGKILL` }
+          : { success: true, pid: targetPid, method: 'SIGKILL after timeout', elapsedMs: Date.now() - startTime };
+      };
+
+      const results = [];
+      for (const targetPid of pids) {
+        results.push(await closeOne(targetPid));
       }
-      
-      // Use cross-platform window helper
-      const focusResult = await windowHelpers.focusWindow(targetWindow);
-      
-      if (focusResult.success) {
-        return { success: true, message: `Window ${windowId} focused successfully` };
-      } else {
-        return focusResult;
+      await resourceNotifier.update({ windows: await backend.windows.getOpenWindows() });
+
+      if (results.length === 1) {
+        return results[0];
       }
+      const failed = results.filter(result => !result.success);
+      return {
+        success: failed.length === 0,
+        message: `Closed ${results.length - failed.length} of ${results.length} applications`,
+        results
+      };
     } catch (error) {
       // Error captured silently to avoid interfering with MCP protocol
       return { success: false, error: error.message };
@@ -1143,40 +5539,33 @@ const capabilityImplementations = {
 
   window_capture: async (params) => {
     try {
-      const activeWin = require('active-win');
-      const { windowId, windowTitle, debug = false } = params;
-      
-      let targetWindow;
+      const { windowId, focus = true, zoom, debug = false } = params;
       
-      // Find the window by ID or title
-      const windows = await activeWin.getOpenWindows();
+      // Find the window by ID (window selectors and windowTitle are resolved to an ID before this runs)
+      const windows = await backend.windows.getOpenWindows();
       
       if (!windows || !Array.isArray(windows)) {
-        return { success: false, error: 'Failed to get window list - activeWin.getOpenWindows() returned null or invalid data' };
+        return { success: false, error: 'Failed to get window list - getOpenWindows() returned null or invalid data' };
       }
       
-      if (windowId) {
-        targetWindow = windows.find(w => w && w.id === windowId);
-      } else if (windowTitle) {
-        targetWindow = windows.find(w => w && w.title && w.title.toLowerCase().includes(windowTitle.toLowerCase()));
-      } else {
-        return { success: false, error: 'Either windowId or windowTitle must be provided' };
-      }
+      const targetWindow = windows.find(w => w && w.id === windowId);
       
       if (!targetWindow) {
-        return { success: false, error: `Window not found${windowId ? ` with ID: ${windowId}` : windowTitle ? ` with title containing: "${windowTitle}"` : ''}` };
+        return { success: false, error: `Window not found with ID: ${windowId}` };
       }
       
       // Use cross-platform window helper to bring the window to front
-      const focusResult = await windowHelpers.focusWindow(targetWindow);
-      
-      if (!focusResult.success) {
-        return { success: false, error: `Failed to focus window: ${focusResult.error}` };
+      if (focus) {
+        const focusResult = await backend.windows.focusWindow(targetWindow);
+        
+        if (!focusResult.success) {
+          return { success: false, error: `Failed to focus window: ${focusResult.error}` };
+        }
+        
+        // Wait a moment for the window to come to focus
+        await new Promise(resolve => setTimeout(resolve, 500));
       }
       
-      // Wait a moment for the window to come to focus
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
       // Use the window bounds to capture just that window
       const bounds = targetWindow.bounds;
       
@@ -1191,39 +5580,14 @@ const capabilityImplementations = {
       }
       
       
-      // Check if window is on secondary display - not supported yet
-      // We need to calculate isOnPrimaryDisplay like in list_windows since the raw window object doesn't have this
-      const primaryScreen = robot.getScreenSize();
-      const isOnPrimaryDisplay = bounds.x >= 0 && 
-                               bounds.y >= 0 && 
-                               bounds.x < primaryScreen.width && 
-                               bounds.y < primaryScreen.height;
-      
-      if (!isOnPrimaryDisplay) {
-        // Determine display location for error message
-        let displayLocation = 'primary';
-        if (bounds.x < 0) {
-          displayLocation = 'secondary-left';
-        } else if (bounds.x >= primaryScreen.width) {
-          displayLocation = 'secondary-right';
-        } else if (bounds.y < 0) {
-          displayLocation = 'secondary-top';
-        } else if (bounds.y >= primaryScreen.height) {
-          displayLocation = 'secondary-bottom';
-        } else {
-          displayLocation = 'secondary-unknown';
-        }
-        
-        return { 
-          success: false, 
-          error: `Window capture on secondary displays is not yet implemented. Window "${targetWindow.title}" is on ${displayLocation} display. Only primary display windows can be captured.` 
-        };
-      }
+      // Capture the display the window is on
+      const displays = await displayHelpers.listDisplays();
+      const display = displayHelpers.findForBounds(displays, bounds);
+      debugLog(`WINDOW_CAPTURE DEBUG: window is on display ${display.id} ${JSON.stringify(display.bounds)}\n`, debug);
       
-      // Capture primary display only
       let img;
       try {
-        img = await screenshot({ format: 'jpg' });
+        img = await displayHelpers.capture(display);
       } catch (screenshotError) {
         return { success: false, error: `Screenshot failed: ${screenshotError.message}` };
       }
@@ -1236,7 +5600,7 @@ const capabilityImplementations = {
         return { success: false, error: `Image processing failed: ${sharpError.message}` };
       }
       
-      const screenSize = robot.getScreenSize();
+      const screenSize = display.bounds;
       
       // Calculate scaling factor for Retina detection
       const scaleX = metadata.width / screenSize.width;
@@ -1245,25 +5609,27 @@ const capabilityImplementations = {
       
       let sharpInstance = sharp(img);
       
+      // Window position relative to the captured display
+      const localX = bounds.x - display.bounds.x;
+      const localY = bounds.y - display.bounds.y;
+      
       // Extract window area from the screenshot
       let scaledX1, scaledY1, scaledX2, scaledY2;
       
       if (isHighDPI) {
         // Apply scaling for high-DPI displays (Retina)
-        scaledX1 = Math.round(bounds.x * scaleX);
-        scaledY1 = Math.round(bounds.y * scaleY);
-        scaledX2 = Math.round((bounds.x + bounds.width) * scaleX);
-        scaledY2 = Math.round((bounds.y + bounds.height) * scaleY);
+        scaledX1 = Math.round(localX * scaleX);
+        scaledY1 = Math.round(localY * scaleY);
+        scaledX2 = Math.round((localX + bounds.width) * scaleX);
+        scaledY2 = Math.round((localY + bounds.height) * scaleY);
       } else {
         // Use coordinates as-is for standard displays
-        scaledX1 = bounds.x;
-        scaledY1 = bounds.y;
-        scaledX2 = bounds.x + bounds.width;
-        scaledY2 = bounds.y + bounds.height;
+        scaledX1 = localX;
+        scaledY1 = localY;
+        scaledX2 = localX + bounds.width;
+        scaledY2 = localY + bounds.height;
       }
       
-      // Note: Secondary display support removed - coordinates are for primary display only
-      
       const width = scaledX2 - scaledX1;
       const height = scaledY2 - scaledY1;
       
@@ -1279,7 +5645,7 @@ const capabilityImplementations = {
       
       // Validate extraction bounds against image dimensions
       if (scaledX1 < 0 || scaledY1 < 0 || scaledX2 > metadata.width || scaledY2 > metadata.height) {
-        return { success: false, error: `Window bounds (${scaledX1},${scaledY1},${scaledX2},${scaledY2}) exceed screenshot dimensions (${metadata.width}x${metadata.height})` };
+        return { success: false, error: `Window bounds (${scaledX1},${scaledY1},${scaledX2},${scaledY2}) exceed the captured display ${display.id} (${metadata.width}x${metadata.height}). The window may span several displays; move it fully onto one display.` };
       }
       
       try {
@@ -1293,82 +5659,120 @@ const capabilityImplementations = {
         return { success: false, error: `Window extraction failed: ${extractError.message}. Bounds: (${scaledX1},${scaledY1}) ${width}x${height}` };
       }
       
-      // Apply AI optimization
-      // Use the extraction dimensions, not metadata (which shows original image size)
-      const currentWidth = width;
-      const currentHeight = height;
-      
-      // Scale to 50% of original size, but cap at 1280x720 for much smaller responses
-      const targetWidth = Math.min(Math.round(currentWidth * 0.5), 1280);
-      const targetHeight = Math.min(Math.round(currentHeight * 0.5), 720);
-      
-      const timestamp = new Date().toISOString();
-      debugLog(`\n=== WINDOW_CAPTURE DEBUG ${timestamp} ===\n`, debug);
-      const logMsg = `WINDOW_CAPTURE DEBUG: extracted window ${currentWidth}x${currentHeight}, target ${targetWidth}x${targetHeight}, will resize: ${targetWidth < currentWidth || targetHeight < currentHeight}\n`;
-      debugLog(logMsg, debug);
-      
-      // Track actual dimensions that AI will see
-      let aiImageWidth = currentWidth;
-      let aiImageHeight = currentHeight;
+      // Zoom mode: translate a rectangle given in the previous capture's image space
+      // into a logical window region and extract it at full physical resolution
+      let region = { x: 0, y: 0, width: bounds.width, height: bounds.height };
+      let currentWidth = width;
+      let currentHeight = height;
       
-      // Only resize if the target is smaller than current
-      if (targetWidth < currentWidth || targetHeight < currentHeight) {
+      if (zoom) {
+        const { x1, y1, x2, y2, scale = 1 } = zoom;
+        if (x2 <= x1 || y2 <= y1) {
+          return { success: false, error: `Invalid zoom rectangle (${x1},${y1},${x2},${y2}): x2 and y2 must be greater than x1 and y1` };
+        }
+        
+        const previous = (global.windowCaptureMetadata && global.windowCaptureMetadata[targetWindow.id])
+          || coordinateHelpers.createBasicMetadata(targetWindow);
+        const topLeft = coordinateHelpers.toScreenPoint({ metadata: previous, targetWindow }, x1, y1);
+        const bottomRight = coordinateHelpers.toScreenPoint({ metadata: previous, targetWindow }, x2, y2);
+        
+        const left = Math.max(0, topLeft.scaledX);
+        const top = Math.max(0, topLeft.scaledY);
+        const right = Math.min(bounds.width, bottomRight.scaledX);
+        const bottom = Math.min(bounds.height, bottomRight.scaledY);
+        if (right <= left || bottom <= top) {
+          return { success: false, error: `Zoom rectangle (${x1},${y1},${x2},${y2}) lies outside the window` };
+        }
+        region = { x: left, y: top, width: right - left, height: bottom - top };
+        
+        // Window pixels per logical point (2 on Retina displays)
+        const pixelRatioX = width / bounds.width;
+        const pixelRatioY = height / bounds.height;
+        const regionLeft = Math.round(region.x * pixelRatioX);
+        const regionTop = Math.round(region.y * pixelRatioY);
+        currentWidth = Math.max(1, Math.min(width - regionLeft, Math.round(region.width * pixelRatioX)));
+        currentHeight = Math.max(1, Math.min(height - regionTop, Math.round(region.height * pixelRatioY)));
+        
+        debugLog(`WINDOW_CAPTURE DEBUG: zoom region logical ${JSON.stringify(region)}, physical ${regionLeft},${regionTop} ${currentWidth}x${currentHeight}, scale ${scale}\n`, debug);
+        
         try {
-          sharpInstance = sharpInstance.resize(targetWidth, targetHeight, {
-            fit: 'inside',
-            withoutEnlargement: true
+          // Re-read the extracted window so the region can be cut out of it
+          const windowBuffer = await sharpInstance.png().toBuffer();
+          sharpInstance = sharp(windowBuffer).extract({
+            left: regionLeft,
+            top: regionTop,
+            width: currentWidth,
+            height: currentHeight
           });
-          
-          // With 'inside' fit, dimensions might be different from target
-          // We'll get the actual dimensions after processing
-          
-          const logMsg2 = `WINDOW_CAPTURE DEBUG: after resize, AI will see: ${aiImageWidth}x${aiImageHeight}\n`;
-          debugLog(logMsg2, debug);
-        } catch (resizeError) {
-          return { success: false, error: `Resize failed: ${resizeError.message}` };
+          if (scale !== 1) {
+            sharpInstance = sharpInstance.resize(
+              Math.max(1, Math.round(currentWidth * scale)),
+              Math.max(1, Math.round(currentHeight * scale)),
+              { kernel: scale > 1 ? 'nearest' : 'lanczos3' }
+            );
+          }
+        } catch (zoomError) {
+          return { success: false, error: `Zoom extraction failed: ${zoomError.message}` };
         }
-      } else {
-        const logMsg3 = `WINDOW_CAPTURE DEBUG: no resize needed, AI will see: ${aiImageWidth}x${aiImageHeight}\n`;
-        debugLog(logMsg3, debug);
       }
       
-      // Store the AI image dimensions in debug log for mouse_move to use
-      debugLog(`WINDOW_CAPTURE DEBUG: windowId=${targetWindow.id}, aiDimensions=${aiImageWidth}x${aiImageHeight}\n`, debug);
+      const timestamp = new Date().toISOString();
+      debugLog(`\n=== WINDOW_CAPTURE DEBUG ${timestamp} ===\n`, debug);
+      debugLog(`WINDOW_CAPTURE DEBUG: extracted window ${currentWidth}x${currentHeight}\n`, debug);
       
-      // Convert to WebP with very aggressive compression for AI analysis
+      // Apply AI optimization: scale, cap and compress (WebP quality 15, 50%,
+      // 1280x720, 300KB by default), stepping down to fit the size budget.
+      // Zoomed captures keep their native (or requested) resolution unless the
+      // call asks otherwise. The overlay is drawn on the final image size so
+      // labels match mouse_click coordinates.
+      const encoding = zoom
+        ? { scale: 1, maxWidth: Infinity, maxHeight: Infinity, ...params.encoding }
+        : params.encoding;
+      const cursor = params.includeCursor
+        ? coordinateHelpers.locateCursor({ x: bounds.x + region.x, y: bounds.y + region.y, width: region.width, height: region.height })
+        : null;
+      let encoded;
       try {
-        img = await sharpInstance
-          .webp({ quality: 15, effort: 0 })
-          .toBuffer();
-          
-        // Get the actual dimensions after resize
-        const finalMeta = await sharp(img).metadata();
-        aiImageWidth = finalMeta.width;
-        aiImageHeight = finalMeta.height;
-        
-        debugLog(`WINDOW_CAPTURE DEBUG: actual AI dimensions after resize: ${aiImageWidth}x${aiImageHeight}\n`, debug);
-      } catch (webpError) {
-        return { success: false, error: `WebP conversion failed: ${webpError.message}` };
+        encoded = await imageHelpers.encodeCapture(sharpInstance, encoding, params.overlay,
+          cursor && cursor.inside ? cursor.fraction : null);
+      } catch (encodeError) {
+        return { success: false, error: `Image encoding failed: ${encodeError.message}` };
       }
+      img = encoded.buffer;
       
-      // Check final size and abort if too large (stay well under 1MB limit)
-      const sizeKB = img.length / 1024;
-      if (sizeKB > 300) {
-        return { success: false, error: `Window capture too large: ${sizeKB.toFixed(1)}KB (max 300KB). Try a smaller window.` };
-      }
+      // Track actual dimensions that AI will see
+      const aiImageWidth = encoded.width;
+      const aiImageHeight = encoded.height;
+      
+      // Store the AI image dimensions in debug log for mouse_move to use
+      debugLog(`WINDOW_CAPTURE DEBUG: windowId=${targetWindow.id}, aiDimensions=${aiImageWidth}x${aiImageHeight}, encoding=${JSON.stringify(encoded.settings)}\n`, debug);
       
       const base64 = img.toString('base64');
+      const captureId = captureStore.createId(`window-${targetWindow.id}`);
+      const storedText = params.store !== false ? ` Stored as screenshot://${captureId}.` : '';
+      
+      // Cursor position in the same window image coordinates mouse_click accepts
+      let cursorText = '';
+      if (cursor) {
+        const imageX = Math.round(cursor.fraction.x * aiImageWidth);
+        const imageY = Math.round(cursor.fraction.y * aiImageHeight);
+        cursorText = cursor.inside
+          ? ` Cursor at window image (${imageX}, ${imageY}), screen (${cursor.screen.x}, ${cursor.screen.y}).`
+          : ` Cursor is outside the ${zoom ? 'zoomed region' : 'window'}: window image (${imageX}, ${imageY}), screen (${cursor.screen.x}, ${cursor.screen.y}).`;
+      }
       
       // Return window capture with dimension metadata
       const result = {
         content: [
           {
             type: "text",
-            text: `Window "${targetWindow.title}" captured successfully. Original size: ${bounds.width}x${bounds.height}, AI sees: ${aiImageWidth}x${aiImageHeight}`,
+            text: zoom
+              ? `Window "${targetWindow.title}" zoomed to region x=${region.x}, y=${region.y}, ${region.width}x${region.height} (window points). AI sees: ${aiImageWidth}x${aiImageHeight}. Coordinates for mouse tools now refer to this zoomed image until the next window_capture.${cursorText}${storedText} ${imageHelpers.describeEncoding(encoded.settings)}`
+              : `Window "${targetWindow.title}" captured successfully. Original size: ${bounds.width}x${bounds.height}, AI sees: ${aiImageWidth}x${aiImageHeight}.${cursorText}${storedText} ${imageHelpers.describeEncoding(encoded.settings)}`,
           },
           {
             type: "image",
-            mimeType: "image/webp",
+            mimeType: encoded.mimeType,
             data: base64,
           }
         ],
@@ -1380,20 +5784,41 @@ const capabilityImplementations = {
       const aiActualWidth = aiImageWidth;
       const aiActualHeight = aiImageHeight;
       
+      // For zoomed captures the logical size and offset describe the zoomed region
       const windowCaptureMetadata = {
         windowId: targetWindow.id,
-        originalLogicalSize: { width: bounds.width, height: bounds.height },
+        originalLogicalSize: { width: region.width, height: region.height },
+        offset: { x: region.x, y: region.y },
+        zoomed: Boolean(zoom),
         originalPhysicalSize: { width: currentWidth, height: currentHeight },
+        displayId: display.id,
         reportedAiSize: { width: aiImageWidth, height: aiImageHeight },
         aiImageSize: { width: aiActualWidth, height: aiActualHeight }, // What AI actually sees
+        encoding: encoded.settings,
         timestamp: Date.now()
       };
       
-      // Store in global map for mouse_move to access
-      if (!global.windowCaptureMetadata) {
-        global.windowCaptureMetadata = {};
+      // Store in global map for mouse_move to access. Internal captures (store: false)
+      // are never shown as the coordinate reference, so they leave it unchanged.
+      if (params.store !== false) {
+        if (!global.windowCaptureMetadata) {
+          global.windowCaptureMetadata = {};
+        }
+        global.windowCaptureMetadata[targetWindow.id] = windowCaptureMetadata;
+      }
+      
+      // Internal polling callers pass store: false to keep the screenshot list clean
+      if (params.store !== false) {
+        const stored = captureStore.add(captureId, img, encoded.mimeType, {
+          kind: 'window',
+          source: { windowId: targetWindow.id, title: targetWindow.title, owner: targetWindow.owner?.name, displayId: display.id },
+          ...windowCaptureMetadata
+        });
+        if (!stored) {
+          result.content[0].text = result.content[0].text.replace(storedText, ` Not stored: ${captureStore.describeRejection(img.length)}.`);
+        }
+        await resourceNotifier.update();
       }
-      global.windowCaptureMetadata[targetWindow.id] = windowCaptureMetadata;
       
       // Add metadata to debug log
       debugLog(`WINDOW_CAPTURE METADATA: ${JSON.stringify(windowCaptureMetadata)}\n`, debug);
@@ -1443,15 +5868,66 @@ const capabilityImplementations = {
           case 'mouse_click':
             result = await capabilityImplementations.mouse_click(actionParams);
             break;
+          case 'mouse_drag':
+            result = await capabilityImplementations.mouse_drag(actionParams);
+            break;
+          case 'mouse_scroll':
+            result = await capabilityImplementations.mouse_scroll(actionParams);
+            break;
           case 'keyboard_press':
             result = await capabilityImplementations.keyboard_press(actionParams);
             break;
           case 'keyboard_type':
             result = await capabilityImplementations.keyboard_type(actionParams);
             break;
+          case 'key_down':
+            result = await capabilityImplementations.key_down(actionParams);
+            break;
+          case 'key_up':
+            result = await capabilityImplementations.key_up(actionParams);
+            break;
+          case 'mouse_down':
+            result = await capabilityImplementations.mouse_down(actionParams);
+            break;
+          case 'mouse_up':
+            result = await capabilityImplementations.mouse_up(actionParams);
+            break;
+          case 'release_all':
+            result = await capabilityImplementations.release_all(actionParams);
+            break;
+          case 'clipboard_read':
+            result = await capabilityImplementations.clipboard_read(actionParams);
+            break;
+          case 'clipboard_write':
+            result = await capabilityImplementations.clipboard_write(actionParams);
+            break;
           case 'screen_capture':
             result = await capabilityImplementations.screen_capture(actionParams);
             break;
+          case 'find_image':
+            result = await capabilityImplementations.find_image(actionParams);
+            break;
+          case 'compare_captures':
+            result = await capabilityImplementations.compare_captures(actionParams);
+            break;
+          case 'wait_for_change':
+            result = await capabilityImplementations.wait_for_change(actionParams);
+            break;
+          case 'wait_for_stable':
+            result = await capabilityImplementations.wait_for_stable(actionParams);
+            break;
+          case 'get_pixel_color':
+            result = await capabilityImplementations.get_pixel_color(actionParams);
+            break;
+          case 'wait_for_pixel':
+            result = await capabilityImplementations.wait_for_pixel(actionParams);
+            break;
+          case 'record':
+            result = await capabilityImplementations.record(actionParams);
+            break;
+          case 'stop_recording':
+            result = await capabilityImplementations.stop_recording(actionParams);
+            break;
           case 'window_capture':
             result = await capabilityImplementations.window_capture(actionParams);
             break;
@@ -1461,6 +5937,18 @@ const capabilityImplementations = {
           case 'move_window_to_primary_screen':
             result = await capabilityImplementations.move_window_to_primary_screen(actionParams);
             break;
+          case 'manage_window':
+            result = await capabilityImplementations.manage_window(actionParams);
+            break;
+          case 'launch_app':
+            result = await capabilityImplementations.launch_app(actionParams);
+            break;
+          case 'watch_windows':
+            result = await capabilityImplementations.watch_windows(actionParams);
+            break;
+          case 'close_app':
+            result = await capabilityImplementations.close_app(actionParams);
+            break;
           default:
             const error = `Action ${i}: Unknown action type '${type}'`;
             if (continueOnError) {
@@ -1523,6 +6011,45 @@ const capabilityImplementations = {
   }
 };
 
+// Tools that accept a `window` selector in place of windowId. The selector is
+// resolved here, so the implementations (and multiple_desktop_actions) only
+// ever see a windowId. window_capture's windowTitle is a title selector too.
+const windowSelectorTools = {
+  focus_window: true, window_capture: true, manage_window: true, move_window_to_primary_screen: true,
+  mouse_move: true, mouse_click: true, mouse_drag: true, mouse_scroll: true,
+  keyboard_press: false, keyboard_type: false, key_down: false, mouse_down: false, mouse_up: false, clipboard_write: false,
+  close_app: false
+};
+
+for (const [name, windowRequired] of Object.entries(windowSelectorTools)) {
+  const implementation = capabilityImplementations[name];
+  capabilityImplementations[name] = async (params = {}) => {
+    const { window: selector, ...rest } = params;
+    let windowSelector = selector;
+    if (!windowSelector && rest.windowTitle && rest.windowId === undefined) {
+      windowSelector = { titleContains: rest.windowTitle };
+    }
+
+    if (rest.windowId !== undefined || !windowSelector) {
+      if (windowRequired && rest.windowId === undefined) {
+        return { success: false, error: `Either windowId or window must be provided` };
+      }
+      return implementation(rest);
+    }
+
+    try {
+      const resolved = await windowSelectors.resolve(windowSelector);
+      if (!resolved.success) {
+        return resolved;
+      }
+      return implementation({ ...rest, windowId: resolved.window.id });
+    } catch (error) {
+      // Error captured silently to avoid interfering with MCP protocol
+      return { success: false, error: error.message };
+    }
+  };
+}
+
 function toMcpResponse(obj) {
   return {
     content: [
@@ -1534,43 +6061,166 @@ function toMcpResponse(obj) {
   };
 }
 
+// Shared encoding option for screen_capture and window_capture. Omitted fields
+// use the server-wide defaults set on the command line.
+const encodingSchema = z.object({
+  format: z.enum(["webp", "jpeg", "png"]).optional().describe("Image format (default: webp)"),
+  quality: z.number().int().min(1).max(100).optional().describe("Starting quality for webp/jpeg, 1-100 (default: 15). Raise it when small text must be readable."),
+  scale: z.number().min(0.05).max(1).optional().describe("Downscale factor relative to the physical capture size (default: 0.5)"),
+  maxWidth: z.number().int().min(16).optional().describe("Maximum image width in pixels (default: 1280)"),
+  maxHeight: z.number().int().min(16).optional().describe("Maximum image height in pixels (default: 720)"),
+  maxKB: z.number().min(10).max(5000).optional().describe("Size budget in KB (default: 300). When exceeded, quality and then size are stepped down until the image fits.")
+}).optional().describe("Optional image encoding settings. The settings actually used are reported in the response.");
+
+// Window selector accepted in place of windowId by the window and input tools
+const windowSelectorSchema = z.object({
+  title: z.string().max(200).optional().describe("JavaScript regular expression searched for in the window title (case-insensitive, unanchored: use ^ and $ for an exact title). Patterns that repeat a repeating group, like (a+)+, are refused."),
+  titleContains: z.string().optional().describe("Plain text contained in the window title (case-insensitive), no regular expression"),
+  owner: z.string().optional().describe("Owning application name or bundle id (case-insensitive, exact)"),
+  pid: z.number().int().optional().describe("Process ID of the owning application"),
+  path: z.string().optional().describe("Substring of the owning application's executable path"),
+  minWidth: z.number().optional().describe("Only windows at least this wide, to skip tiny helper windows"),
+  minHeight: z.number().optional().describe("Only windows at least this tall"),
+  onScreen: z.boolean().optional().describe("Only windows that overlap a display"),
+  active: z.boolean().optional().describe("Only the currently focused window"),
+  index: z.number().int().min(0).optional().describe("Pick the n-th matching window (front to back) when several match")
+}).optional().describe("Selects the window by its properties instead of windowId. Must match exactly one window unless index is given; the error lists the candidates otherwise. list_windows returns a stable selector for each window that keeps working after the app restarts.");
+
+// Shared coordinate overlay option for screen_capture and window_capture
+const overlaySchema = z.object({
+  grid: z.boolean().default(false).describe("Draw grid lines labelled with their coordinates"),
+  rulers: z.boolean().default(false).describe("Draw labelled rulers along all four edges without covering the content"),
+  crosshairs: z.array(z.object({
+    x: z.number().describe("X coordinate in the captured image"),
+    y: z.number().describe("Y coordinate in the captured image")
+  })).default([]).describe("Draw crosshairs with coordinate labels at these points, e.g. to verify a planned click target"),
+  spacing: z.number().int().min(10).max(1000).optional().describe("Grid and ruler spacing in image pixels (default: a round value giving about 10 divisions)"),
+  color: z.string()
+    .regex(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Use a hex color such as "#ff00ff" or "#f0f"')
+    .transform(color => imageHelpers.toHexColor(imageHelpers.parseColor(color)))
+    .default("#ff00ff")
+    .describe("Overlay color as a hex value (#rrggbb or #rgb)")
+}).optional().describe("Optional coordinate overlay drawn on the returned image. Labels are in the returned image's own pixel coordinates, which for window_capture is exactly the space mouse_click expects, so coordinates can be read off instead of estimated.");
+
+// Shared pointer motion option for mouse_move, mouse_click and mouse_drag
+const motionSchema = z.object({
+  profile: z.enum(["instant", "linear", "human"]).optional().describe("Pointer motion profile: 'instant' teleports the cursor (default for moves and clicks), 'linear' moves in even steps along a straight line (default for drags), 'human' follows a slightly curved path with ease-in-out timing"),
+  duration: z.number().min(0).max(5000).default(300).describe("Duration of the pointer movement in milliseconds (0-5000ms). Ignored for 'instant'."),
+  jitter: z.number().min(0).max(20).default(0).describe("Maximum random offset in pixels added to intermediate points (0-20). The final position is always exact.")
+}).optional().describe("Optional pointer motion. Use 'linear' or 'human' when hover menus, tooltips or games need real pointer-move events.");
+
 server.tool("get_screen_size", "Gets the screen dimensions", {},
   async () => toMcpResponse(capabilityImplementations.get_screen_size()));
 
-server.tool("screen_capture", "Captures the current screen content (PRIMARY DISPLAY ONLY - cannot capture secondary/external displays. Use window_capture for windows on secondary displays. Automatically optimized for AI analysis)", {
-  x1: z.number().optional().describe("Left X coordinate for partial capture"),
-  y1: z.number().optional().describe("Top Y coordinate for partial capture"),
-  x2: z.number().optional().describe("Right X coordinate for partial capture"),
-  y2: z.number().optional().describe("Bottom Y coordinate for partial capture")
+server.tool("list_displays", "Lists all connected displays with their id, name, bounds (logical screen coordinates, primary display first) and scale factor. Use the id as displayId for screen_capture.", {},
+  async () => toMcpResponse(await capabilityImplementations.list_displays()));
+
+server.tool("screen_capture", "Captures the content of one display (the primary display by default, any display with displayId from list_displays). Automatically optimized for AI analysis", {
+  displayId: z.union([z.string(), z.number()]).optional().describe("Display to capture (id from list_displays, default: primary display)"),
+  x1: z.number().optional().describe("Left X coordinate for partial capture, relative to the display's top-left corner"),
+  y1: z.number().optional().describe("Top Y coordinate for partial capture, relative to the display's top-left corner"),
+  x2: z.number().optional().describe("Right X coordinate for partial capture, relative to the display's top-left corner"),
+  y2: z.number().optional().describe("Bottom Y coordinate for partial capture, relative to the display's top-left corner"),
+  overlay: overlaySchema,
+  encoding: encodingSchema,
+  includeCursor: z.boolean().default(false).describe("If true, draws the mouse pointer into the capture and reports its position")
 }, async (params) => capabilityImplementations.screen_capture(params));
 
-server.tool("keyboard_press", "Presses a keyboard key or key combination. IMPORTANT: windowId should be provided if known (after window_capture, list_windows, or when user specified a window).", {
-  key: z.string().describe("Key to press (e.g., 'enter', 'a', 'control')"),
-  modifiers: z.array(z.enum(["control", "shift", "alt", "command"])).default([]).describe("Modifier keys to hold while pressing the key"),
+server.tool("keyboard_press", "Presses a keyboard key, a key combination or a sequence of hotkeys. Either key or combo is required. IMPORTANT: windowId should be provided if known (after window_capture, list_windows, or when user specified a window).", {
+  key: z.string().optional().describe("Key to press (e.g., 'enter', 'a', 'control')"),
+  combo: z.string().optional().describe("Hotkey string, alternative to key/modifiers. Keys in a chord are joined with '+', chords in a sequence are separated by spaces, e.g. 'ctrl+shift+t', 'cmd+space', 'ctrl+k ctrl+s'. Use 'primary' for command on macOS and control elsewhere, e.g. 'primary+c'."),
+  modifiers: z.array(z.enum(["control", "shift", "alt", "command", "primary"])).default([]).describe("Modifier keys to hold while pressing the key. 'primary' is command on macOS and control elsewhere."),
+  chordDelay: z.number().min(0).max(5000).default(100).describe("Pause between chords of a combo sequence in milliseconds (0-5000ms)"),
   windowId: z.number().optional().describe("Window ID to focus before pressing key. SHOULD be provided if known from previous operations (after window_capture, list_windows, or when user specified a window)."),
+  window: windowSelectorSchema,
   pressLength: z.number().min(0).max(5000).default(0).describe("Optional duration to hold the key in milliseconds (0-5000ms, 0 = quick tap)")
 }, async (params) => toMcpResponse(await capabilityImplementations.keyboard_press(params)));
 
 server.tool("keyboard_type", "Types text at the current cursor position. IMPORTANT: windowId should be provided if known (after window_capture, list_windows, or when user specified a window).", {
   text: z.string().describe("Text to type"),
-  windowId: z.number().optional().describe("Window ID to focus before typing. SHOULD be provided if known from previous operations (after window_capture, list_windows, or when user specified a window).")
+  windowId: z.number().optional().describe("Window ID to focus before typing. SHOULD be provided if known from previous operations (after window_capture, list_windows, or when user specified a window)."),
+  window: windowSelectorSchema,
+  charDelayMs: z.number().min(0).max(1000).default(0).describe("Optional pause between characters in milliseconds (0-1000ms). Use for slow web forms that drop keystrokes."),
+  method: z.enum(["keystrokes", "clipboard-paste", "xdotool-type"]).default("keystrokes").describe("How to enter the text: 'keystrokes' types with robotjs and automatically pastes characters it cannot type (non-ASCII, emoji, CJK), 'clipboard-paste' pastes everything through the clipboard (previous clipboard text is restored), 'xdotool-type' uses xdotool (Linux only, Unicode-safe)"),
+  chunkSize: z.number().int().min(0).default(0).describe("Optional number of characters per chunk for long passages (0 = no chunking)"),
+  chunkDelayMs: z.number().min(0).max(10000).default(0).describe("Pause between chunks in milliseconds (0-10000ms)")
 }, async (params) => toMcpResponse(await capabilityImplementations.keyboard_type(params)));
 
-server.tool("mouse_click", "Performs a mouse click, optionally moving to coordinates first. IMPORTANT: a windowId MUST be provided. Automatically creates coordinate metadata if not available from window_capture. For precise coordinate scaling, run window_capture first. COORDINATE SYSTEM: x,y coordinates must be relative to the TOP-LEFT corner (0,0) of the window screenshot/image, NOT relative to any internal UI elements. When clicking buttons (especially in grids like calculators), aim for the center of the button rather than edges to ensure reliable clicks.", {
+server.tool("key_down", "Presses and holds a key until key_up or release_all is called, e.g. hold shift while clicking to multi-select. Held keys are released automatically after autoReleaseMs or when the session closes.", {
+  key: z.string().describe("Key to hold (e.g., 'shift', 'control', 'w'). 'primary' is command on macOS and control elsewhere."),
+  windowId: z.number().optional().describe("Window ID to focus before pressing the key"),
+  window: windowSelectorSchema,
+  autoReleaseMs: z.number().min(100).max(300000).default(30000).describe("Safety timeout after which the key is released automatically (100-300000ms)")
+}, async (params) => toMcpResponse(await capabilityImplementations.key_down(params)));
+
+server.tool("key_up", "Releases a key held with key_down", {
+  key: z.string().describe("Key to release (same name as passed to key_down)")
+}, async (params) => toMcpResponse(await capabilityImplementations.key_up(params)));
+
+server.tool("mouse_down", "Presses and holds a mouse button until mouse_up or release_all is called, optionally moving to window coordinates first. Held buttons are released automatically after autoReleaseMs or when the session closes. COORDINATE SYSTEM: x,y use the same window screenshot/image coordinates as mouse_move.", {
+  button: z.enum(["left", "right", "middle"]).default("left").describe("Mouse button to hold"),
+  windowId: z.number().optional().describe("Window ID to focus before pressing. Required when x,y are given."),
+  window: windowSelectorSchema,
+  x: z.number().optional().describe("X coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image to move to before pressing"),
+  y: z.number().optional().describe("Y coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image to move to before pressing"),
+  motion: motionSchema,
+  autoReleaseMs: z.number().min(100).max(300000).default(30000).describe("Safety timeout after which the button is released automatically (100-300000ms)"),
+  debug: z.boolean().default(false).describe("If true, enables debug logging for troubleshooting")
+}, async (params) => toMcpResponse(await capabilityImplementations.mouse_down(params)));
+
+server.tool("mouse_up", "Releases a mouse button held with mouse_down, optionally moving to window coordinates first (e.g. to finish a drag while a key is held)", {
+  button: z.enum(["left", "right", "middle"]).default("left").describe("Mouse button to release"),
+  windowId: z.number().optional().describe("Window ID for coordinate conversion. Required when x,y are given."),
+  window: windowSelectorSchema,
+  x: z.number().optional().describe("X coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image to move to before releasing"),
+  y: z.number().optional().describe("Y coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image to move to before releasing"),
+  motion: motionSchema,
+  debug: z.boolean().default(false).describe("If true, enables debug logging for troubleshooting")
+}, async (params) => toMcpResponse(await capabilityImplementations.mouse_up(params)));
+
+server.tool("release_all", "Releases every key and mouse button currently held by key_down or mouse_down", {},
+  async () => toMcpResponse(await capabilityImplementations.release_all()));
+
+server.tool("clipboard_read", "Reads the system clipboard as plain text, HTML or a PNG image. Useful for reading values that are hard to OCR or checking what a Copy action produced.", {
+  format: z.enum(["text", "html", "image"]).default("text").describe("Clipboard format to read: 'text' (default), 'html' or 'image' (returned as PNG)")
+}, async (params) => {
+  const result = await capabilityImplementations.clipboard_read(params);
+  if (result.content) {
+    return result; // Already in correct format for images
+  } else {
+    return toMcpResponse(result);
+  }
+});
+
+server.tool("clipboard_write", "Writes plain text, HTML or an image to the system clipboard, and optionally pastes it into the focused window. Provide exactly one of text, html or imageBase64.", {
+  text: z.string().optional().describe("Plain text to put on the clipboard"),
+  html: z.string().optional().describe("HTML markup to put on the clipboard"),
+  imageBase64: z.string().optional().describe("Base64 encoded image (PNG, JPEG or WebP) to put on the clipboard as PNG"),
+  paste: z.boolean().default(false).describe("If true, pastes the clipboard contents into the focused window after writing (command+v on macOS, control+v elsewhere)"),
+  restorePrevious: z.boolean().default(true).describe("When pasting, saves the previous clipboard contents and restores them afterwards. Only the text (or, without text, the image) is restored; HTML formatting and other formats are lost"),
+  windowId: z.number().optional().describe("Window ID to focus before pasting. SHOULD be provided if known when paste is true."),
+  window: windowSelectorSchema
+}, async (params) => toMcpResponse(await capabilityImplementations.clipboard_write(params)));
+
+server.tool("mouse_click", "Performs a mouse click, optionally moving to coordinates first. IMPORTANT: a windowId (or window selector) MUST be provided. Automatically creates coordinate metadata if not available from window_capture. For precise coordinate scaling, run window_capture first. COORDINATE SYSTEM: x,y coordinates must be relative to the TOP-LEFT corner (0,0) of the window screenshot/image, NOT relative to any internal UI elements. When clicking buttons (especially in grids like calculators), aim for the center of the button rather than edges to ensure reliable clicks.", {
   button: z.enum(["left", "right", "middle"]).default("left").describe("Mouse button to click"),
   double: z.boolean().default(false).describe("Whether to perform a double click"),
-  windowId: z.number().describe("Window ID to focus before clicking. This is a required parameter. Coordinate metadata will be created automatically if not available from window_capture."),
+  windowId: z.number().optional().describe("Window ID to focus before clicking. Either windowId or window is required. Coordinate metadata will be created automatically if not available from window_capture."),
+  window: windowSelectorSchema,
   pressLength: z.number().min(0).max(5000).default(0).describe("Optional duration to hold the mouse button in milliseconds (0-5000ms, 0 = quick click)"),
   x: z.number().optional().describe("X coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image to move to before clicking. NOT relative to any internal UI elements. Use coordinates as they appear in the captured window image. Aim for button centers, not edges."),
   y: z.number().optional().describe("Y coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image to move to before clicking. NOT relative to any internal UI elements. Use coordinates as they appear in the captured window image. Aim for button centers, not edges."),
+  motion: motionSchema,
   debug: z.boolean().default(false).describe("If true, enables debug logging for troubleshooting")
 }, async (params) => toMcpResponse(await capabilityImplementations.mouse_click(params)));
 
-server.tool("mouse_move", "Moves the mouse to specified coordinates within a given window. A windowId is required. Automatically creates coordinate metadata if not available from window_capture. For precise coordinate scaling, run window_capture first. COORDINATE SYSTEM: x,y coordinates must be relative to the TOP-LEFT corner (0,0) of the window screenshot/image, NOT relative to any internal UI elements. IMPORTANT: When clicking buttons (especially in grids like calculators), aim for the center of the button rather than edges to ensure reliable clicks.", {
+server.tool("mouse_move", "Moves the mouse to specified coordinates within a given window. A windowId (or window selector) is required. Automatically creates coordinate metadata if not available from window_capture. For precise coordinate scaling, run window_capture first. COORDINATE SYSTEM: x,y coordinates must be relative to the TOP-LEFT corner (0,0) of the window screenshot/image, NOT relative to any internal UI elements. IMPORTANT: When clicking buttons (especially in grids like calculators), aim for the center of the button rather than edges to ensure reliable clicks.", {
   x: z.number().describe("X coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image. NOT relative to any internal UI elements or content areas. Use coordinates as they appear in the captured window image."),
   y: z.number().describe("Y coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image. NOT relative to any internal UI elements or content areas. Use coordinates as they appear in the captured window image."),
   debug: z.boolean().default(false).describe("If true, takes a screenshot with a red circle showing where the cursor moved for verification"),
-  windowId: z.number().describe("Window ID is required for all mouse movements. Coordinate metadata will be created automatically if not available from window_capture.")
+  windowId: z.number().optional().describe("Window ID (or window selector) is required for all mouse movements. Coordinate metadata will be created automatically if not available from window_capture."),
+  window: windowSelectorSchema,
+  motion: motionSchema
 }, async (params) => {
   const result = await capabilityImplementations.mouse_move(params);
   if (result.content) {
@@ -1580,21 +6230,108 @@ server.tool("mouse_move", "Moves the mouse to specified coordinates within a giv
   }
 });
 
-server.tool("list_windows", "Lists all open windows with their properties. IMPORTANT: This is the preferred first tool to use and is obligatory when user asks about any window operations.", {},
-  async () => toMcpResponse(await capabilityImplementations.list_windows()));
+server.tool("mouse_drag", "Drags with a mouse button held down from a start point to an end point within a given window, optionally through waypoints. Use it to move sliders, reorder lists, select text or drag items between panes. A windowId (or window selector) is required. COORDINATE SYSTEM: all points use the same window screenshot/image coordinates as mouse_move and mouse_click (TOP-LEFT corner is 0,0).", {
+  windowId: z.number().optional().describe("Window ID (or window selector) is required for all drags. Coordinate metadata will be created automatically if not available from window_capture."),
+  window: windowSelectorSchema,
+  startX: z.number().describe("X coordinate where the drag starts, relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  startY: z.number().describe("Y coordinate where the drag starts, relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  endX: z.number().describe("X coordinate where the drag ends, relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  endY: z.number().describe("Y coordinate where the drag ends, relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  waypoints: z.array(z.object({
+    x: z.number().describe("Waypoint X coordinate in window screenshot/image space"),
+    y: z.number().describe("Waypoint Y coordinate in window screenshot/image space")
+  })).default([]).describe("Optional intermediate points the drag passes through, in order"),
+  button: z.enum(["left", "right", "middle"]).default("left").describe("Mouse button to hold during the drag"),
+  steps: z.number().int().min(1).max(500).optional().describe("Number of intermediate pointer moves along the whole path (1-500, default 20). Not allowed with motion.profile 'instant'."),
+  duration: z.number().min(0).max(10000).default(500).describe("Total time of the drag movement in milliseconds (0-10000ms)"),
+  motion: motionSchema.describe("Optional pointer motion for the drag. 'human' curves and eases the drag path; its duration applies to the approach to the start point, while the drag itself uses steps and duration. 'instant' jumps from point to point (start, each waypoint, end) without intermediate moves."),
+  debug: z.boolean().default(false).describe("If true, enables debug logging for troubleshooting")
+}, async (params) => toMcpResponse(await capabilityImplementations.mouse_drag(params)));
+
+server.tool("mouse_scroll", "Moves the mouse to a point within a given window and scrolls vertically and/or horizontally. Works in canvases, maps and nested scroll panes where keyboard paging does nothing. A windowId (or window selector) is required. COORDINATE SYSTEM: x,y use the same window screenshot/image coordinates as mouse_move (TOP-LEFT corner is 0,0).", {
+  windowId: z.number().optional().describe("Window ID (or window selector) is required for all scrolling. Coordinate metadata will be created automatically if not available from window_capture."),
+  window: windowSelectorSchema,
+  x: z.number().optional().describe("X coordinate of the scroll target relative to the TOP-LEFT corner (0,0) of the window screenshot/image. Defaults to the window center."),
+  y: z.number().optional().describe("Y coordinate of the scroll target relative to the TOP-LEFT corner (0,0) of the window screenshot/image. Defaults to the window center."),
+  deltaX: z.number().int().default(0).describe("Horizontal scroll amount. Positive scrolls right, negative scrolls left."),
+  deltaY: z.number().int().default(0).describe("Vertical scroll amount. Positive scrolls down, negative scrolls up."),
+  unit: z.enum(["ticks", "pixels"]).default("ticks").describe("Unit of deltaX/deltaY: mouse wheel ticks (default) or approximate pixels"),
+  delayMs: z.number().min(0).max(5000).default(0).describe("Optional pause between individual scroll ticks in milliseconds (0-5000ms)"),
+  untilNoChange: z.boolean().default(false).describe("If true, repeats the scroll and re-captures the window until the image stops changing (e.g. the end of a long list is reached)"),
+  maxRepeats: z.number().int().min(1).max(100).default(20).describe("Maximum number of scroll repeats when untilNoChange is true (1-100)"),
+  changeThreshold: z.number().min(0).max(100).default(0.5).describe("Percentage of changed pixels at or below which the window is considered unchanged when untilNoChange is true"),
+  debug: z.boolean().default(false).describe("If true, enables debug logging for troubleshooting")
+}, async (params) => toMcpResponse(await capabilityImplementations.mouse_scroll(params)));
+
+server.tool("list_windows", "Lists all open windows with their properties. IMPORTANT: This is the preferred first tool to use and is obligatory when user asks about any window operations.", {
+  window: windowSelectorSchema.describe("Only list windows matching this selector (e.g. { owner: \"Calculator\", minWidth: 100 })")
+}, async (params) => toMcpResponse(await capabilityImplementations.list_windows(params)));
 
 server.tool("focus_window", "Focuses on a specific window to bring it to the front", {
-  windowId: z.number().describe("The ID of the window to focus (from list_windows)")
+  windowId: z.number().optional().describe("The ID of the window to focus (from list_windows). Either windowId or window is required."),
+  window: windowSelectorSchema
 }, async (params) => toMcpResponse(await capabilityImplementations.focus_window(params)));
 
+server.tool("manage_window", "Moves, resizes, minimizes, maximizes, restores, fullscreens, closes, raises or pins a window, then returns its bounds as read back from the window list", {
+  windowId: z.number().optional().describe("The ID of the window to manage (from list_windows). Either windowId or window is required."),
+  window: windowSelectorSchema,
+  action: z.enum(["set_bounds", "minimize", "maximize", "restore", "fullscreen", "close", "raise", "always_on_top"]).describe("What to do with the window"),
+  x: z.number().optional().describe("For set_bounds: new left edge in screen coordinates (default: current)"),
+  y: z.number().optional().describe("For set_bounds: new top edge in screen coordinates (default: current)"),
+  width: z.number().optional().describe("For set_bounds: new width (default: current)"),
+  height: z.number().optional().describe("For set_bounds: new height (default: current)"),
+  enabled: z.boolean().optional().describe("For fullscreen and always_on_top: turn the state on or off (default: true)"),
+  timeout: z.number().min(0).max(30000).default(2000).describe("How long to wait for the change to show up in the window list, in ms (0-30000, default: 2000)")
+}, async (params) => toMcpResponse(await capabilityImplementations.manage_window(params)));
+
+server.tool("watch_windows", "Starts or stops a background watcher that reports window lifecycle events (opened, closed, bounds_changed, title_changed, focus_changed) in the window://events resource, e.g. to notice a modal dialog or stolen focus without polling list_windows. Clients subscribed to window://events are notified of new events.", {
+  enabled: z.boolean().default(true).describe("Start (true) or stop (false) the watcher. It also runs while a client is subscribed to window://events."),
+  intervalMs: z.number().int().min(100).max(60000).optional().describe("Polling interval in ms (default: 1000, or --window-watch-interval)"),
+  apps: z.array(z.string()).optional().describe("Only report windows of these applications (owner names or bundle ids, case-insensitive). An empty list reports all."),
+  since: z.number().int().min(0).optional().describe("Also return the recorded events with a sequence number greater than this")
+}, async (params) => toMcpResponse(await capabilityImplementations.watch_windows(params)));
+
+server.tool("launch_app", "Starts an application (executable, Linux desktop entry or macOS .app bundle) and waits until a window owned by the new process appears. Returns the pid and the windowId to use with the other tools. Launched applications are stopped when the session ends unless keepAfterSession is set.", {
+  command: z.string().optional().describe("Executable to run (path or name on PATH), or a .app bundle path on macOS"),
+  args: z.array(z.string()).default([]).describe("Arguments passed to the application, without shell interpretation"),
+  desktopEntry: z.string().optional().describe("Linux desktop entry id (e.g. \"org.gnome.Calculator\") or .desktop file path, instead of command"),
+  cwd: z.string().optional().describe("Working directory (default: the desktop entry's Path, else the server's directory)"),
+  env: z.record(z.string()).optional().describe("Extra environment variables"),
+  window: windowSelectorSchema.describe("Also accept a new window matching this selector, for launchers and single-instance apps whose window belongs to another process"),
+  timeout: z.number().min(0).max(120000).default(15000).describe("How long to wait for the window in ms (default: 15000)"),
+  keepAfterSession: z.boolean().default(false).describe("Leave the application running when the session ends")
+}, async (params) => toMcpResponse(await capabilityImplementations.launch_app(params)));
+
+server.tool("close_app", "Closes an application: first asks its windows to close, then terminates it, and kills it after the timeout. Only processes started by launch_app are signalled or killed; other applications are only asked to close their windows.", {
+  pid: z.number().optional().describe("Process ID (from launch_app or list_windows)"),
+  windowId: z.number().optional().describe("Close the application owning this window"),
+  window: windowSelectorSchema,
+  all: z.boolean().default(false).describe("Close every application started by launch_app in this session"),
+  force: z.boolean().default(false).describe("Kill immediately instead of closing gracefully (launch_app processes only)"),
+  timeout: z.number().min(0).max(60000).default(5000).describe("How long to wait for a graceful close before killing, in ms (default: 5000)")
+}, async (params) => toMcpResponse(await capabilityImplementations.close_app(params)));
+
 server.tool("move_window_to_primary_screen", "Moves a window from secondary display to the primary screen, enabling screenshot capture. Automatically positions and optionally resizes the window to fit on the primary display.", {
-  windowId: z.number().describe("The ID of the window to move (from list_windows)"),
+  windowId: z.number().optional().describe("The ID of the window to move (from list_windows). Either windowId or window is required."),
+  window: windowSelectorSchema,
   preserveSize: z.boolean().default(true).describe("If true, keeps original window size (default). If false, resizes window to fit primary screen comfortably.")
 }, async (params) => toMcpResponse(await capabilityImplementations.move_window_to_primary_screen(params)));
 
-server.tool("window_capture", "Focuses on a window and captures a screenshot of just that window (LIMITATION: coordinate handling for secondary displays not fully implemented - may not work reliably on non-primary displays. Automatically optimized for AI analysis)", {
+server.tool("window_capture", "Focuses on a window and captures a screenshot of just that window, on whichever display it is. Automatically optimized for AI analysis", {
   windowId: z.number().optional().describe("The ID of the window to capture (from list_windows)"),
-  windowTitle: z.string().optional().describe("The title of the window to capture (alternative to windowId)"),
+  window: windowSelectorSchema,
+  windowTitle: z.string().optional().describe("Text contained in the title of the window to capture (alternative to windowId). Must match exactly one window; use window for finer selection."),
+  focus: z.boolean().default(true).describe("If true (default), brings the window to the front before capturing. Set false to capture without changing focus (overlapping windows will be visible in the capture)."),
+  overlay: overlaySchema,
+  encoding: encodingSchema,
+  includeCursor: z.boolean().default(false).describe("If true, draws the mouse pointer into the capture and reports its position in window image coordinates (the space mouse_click accepts)"),
+  zoom: z.object({
+    x1: z.number().describe("Left X of the region, in the image coordinates of the previous window_capture"),
+    y1: z.number().describe("Top Y of the region, in the image coordinates of the previous window_capture"),
+    x2: z.number().describe("Right X of the region, in the image coordinates of the previous window_capture"),
+    y2: z.number().describe("Bottom Y of the region, in the image coordinates of the previous window_capture"),
+    scale: z.number().min(0.25).max(4).default(1).describe("Scale relative to the physical resolution (1 = native pixels, 2 = 2x upscale)")
+  }).optional().describe("Zoom into a region of the previous capture at full physical resolution. Mouse tools then take coordinates in the zoomed image until the next window_capture."),
   debug: z.boolean().default(false).describe("If true, enables debug logging for troubleshooting")
 }, async (params) => {
   const result = await capabilityImplementations.window_capture(params);
@@ -1605,11 +6342,143 @@ server.tool("window_capture", "Focuses on a window and captures a screenshot of
   }
 });
 
+server.tool("find_image", "Locates a reference image (icon, button, etc.) inside a window capture or screen region using template matching, without re-reading the whole screenshot. Returns match confidence and bounding boxes. With windowId, boxes are in the window screenshot/image coordinates that mouse_click accepts.", {
+  referenceImage: z.string().optional().describe("Base64 encoded reference image (PNG, JPEG or WebP), ideally cropped from a previous capture of the same window"),
+  referenceScreenshotId: z.string().optional().describe("ID of a stored screenshot to use as the reference (e.g. 'screenshot-1718000000' or 'screenshot://screenshot-1718000000'), alternative to referenceImage"),
+  referenceRegion: z.object({
+    x: z.number().describe("Left edge of the reference area in the reference image"),
+    y: z.number().describe("Top edge of the reference area in the reference image"),
+    width: z.number().describe("Width of the reference area"),
+    height: z.number().describe("Height of the reference area")
+  }).optional().describe("Optional area of the reference image to use, e.g. an icon cropped out of a stored screenshot"),
+  windowId: z.number().optional().describe("Window to search (captured with window_capture). If omitted, the screen (or the x1/y1/x2/y2 region) is searched."),
+  x1: z.number().optional().describe("Left X coordinate of the screen region to search"),
+  y1: z.number().optional().describe("Top Y coordinate of the screen region to search"),
+  x2: z.number().optional().describe("Right X coordinate of the screen region to search"),
+  y2: z.number().optional().describe("Bottom Y coordinate of the screen region to search"),
+  threshold: z.number().min(0).max(1).default(0.8).describe("Minimum match confidence (0-1, default 0.8)"),
+  scaleTolerance: z.number().min(0).max(0.5).default(0).describe("Also search the reference scaled up and down by up to this fraction (e.g. 0.2 tries 80%-120%)"),
+  grayscale: z.boolean().default(true).describe("Match on grayscale pixels (default, faster and robust to tint). Set false when color distinguishes the target."),
+  maxMatches: z.number().int().min(1).max(50).default(1).describe("Maximum number of non-overlapping matches to return, best first (1-50)")
+}, async (params) => toMcpResponse(await capabilityImplementations.find_image(params)));
+
+server.tool("compare_captures", "Compares two captures to check whether anything changed, e.g. after a click. Diffs a stored screenshot or image against another stored screenshot, an image, or a fresh window_capture. Returns the changed-pixel percentage and bounding boxes of changed regions in the baseline image's coordinates, optionally with an annotated image. Against a fresh window capture, each region also gets centerX/centerY for mouse_click.", {
+  baselineScreenshotId: z.string().optional().describe("ID of the stored screenshot to compare from (e.g. 'screenshot-1718000000')"),
+  baselineImage: z.string().optional().describe("Base64 encoded baseline image, alternative to baselineScreenshotId (e.g. the image returned by an earlier window_capture)"),
+  screenshotId: z.string().optional().describe("ID of a stored screenshot to compare against"),
+  image: z.string().optional().describe("Base64 encoded image to compare against"),
+  windowId: z.number().optional().describe("Capture this window now and compare against the fresh capture (ignored when screenshotId or image is given)"),
+  pixelTolerance: z.number().min(0).max(255).default(24).describe("Per-channel difference a pixel must exceed to count as changed (0-255). Raise it to ignore compression noise."),
+  minRegionArea: z.number().min(1).default(16).describe("Minimum number of changed pixels for a region to be reported"),
+  annotate: z.boolean().default(false).describe("If true, also returns the second image with changed regions outlined in red")
+}, async (params) => {
+  const result = await capabilityImplementations.compare_captures(params);
+  if (result.content) {
+    return result; // Already in correct format with the annotated image
+  } else {
+    return toMcpResponse(result);
+  }
+});
+
+server.tool("wait_for_change", "Waits until a window or screen region visibly changes, e.g. after a click, instead of guessing a delay. Returns how long it waited and the final capture. Fails on timeout.", {
+  windowId: z.number().optional().describe("Window to watch. If omitted, the screen (or the x1/y1/x2/y2 region) is watched."),
+  x1: z.number().optional().describe("Left X coordinate of the screen region to watch"),
+  y1: z.number().optional().describe("Top Y coordinate of the screen region to watch"),
+  x2: z.number().optional().describe("Right X coordinate of the screen region to watch"),
+  y2: z.number().optional().describe("Bottom Y coordinate of the screen region to watch"),
+  timeout: z.number().min(0).max(120000).default(10000).describe("Maximum time to wait in milliseconds (0-120000ms). The tool fails when it is exceeded."),
+  pollInterval: z.number().min(50).max(10000).default(250).describe("Time between captures in milliseconds (50-10000ms)"),
+  changeThreshold: z.number().min(0).max(100).default(0.5).describe("Percentage of changed pixels above which the image counts as changed"),
+  pixelTolerance: z.number().min(0).max(255).default(16).describe("Grayscale difference a pixel must exceed to count as changed (0-255)"),
+  includeCapture: z.boolean().default(true).describe("If true, returns the final capture with the result")
+}, async (params) => {
+  const result = await capabilityImplementations.wait_for_change(params);
+  if (result.content) {
+    return result; // Already in correct format with the final capture
+  } else {
+    return toMcpResponse(result);
+  }
+});
+
+server.tool("wait_for_stable", "Waits until a window or screen region stops changing for stableMs, e.g. until a page finished loading or an animation ended. Returns how long it waited and the final capture. Fails on timeout.", {
+  windowId: z.number().optional().describe("Window to watch. If omitted, the screen (or the x1/y1/x2/y2 region) is watched."),
+  x1: z.number().optional().describe("Left X coordinate of the screen region to watch"),
+  y1: z.number().optional().describe("Top Y coordinate of the screen region to watch"),
+  x2: z.number().optional().describe("Right X coordinate of the screen region to watch"),
+  y2: z.number().optional().describe("Bottom Y coordinate of the screen region to watch"),
+  stableMs: z.number().min(0).max(60000).default(1000).describe("How long the image must stay unchanged in milliseconds (0-60000ms)"),
+  timeout: z.number().min(0).max(120000).default(10000).describe("Maximum time to wait in milliseconds (0-120000ms). The tool fails when it is exceeded."),
+  pollInterval: z.number().min(50).max(10000).default(250).describe("Time between captures in milliseconds (50-10000ms)"),
+  changeThreshold: z.number().min(0).max(100).default(0.5).describe("Percentage of changed pixels above which the image counts as changed"),
+  pixelTolerance: z.number().min(0).max(255).default(16).describe("Grayscale difference a pixel must exceed to count as changed (0-255)"),
+  includeCapture: z.boolean().default(true).describe("If true, returns the final capture with the result")
+}, async (params) => {
+  const result = await capabilityImplementations.wait_for_stable(params);
+  if (result.content) {
+    return result; // Already in correct format with the final capture
+  } else {
+    return toMcpResponse(result);
+  }
+});
+
+server.tool("get_pixel_color", "Reads the exact color of a pixel (or the average of a small area) in a window, straight from the display. Much cheaper than a capture for checks like 'is this status light green'. COORDINATE SYSTEM: x,y use the same window screenshot/image coordinates as mouse_move.", {
+  windowId: z.number().describe("Window ID for coordinate conversion"),
+  x: z.number().describe("X coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  y: z.number().describe("Y coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  radius: z.number().int().min(0).max(10).default(0).describe("Average a square of (2 * radius + 1) screen pixels around the point (0-10, 0 = single pixel)")
+}, async (params) => toMcpResponse(await capabilityImplementations.get_pixel_color(params)));
+
+server.tool("wait_for_pixel", "Waits until a pixel (or the average of a small area) in a window matches a target color within a tolerance. Fails on timeout. COORDINATE SYSTEM: x,y use the same window screenshot/image coordinates as mouse_move.", {
+  windowId: z.number().describe("Window ID for coordinate conversion"),
+  x: z.number().describe("X coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  y: z.number().describe("Y coordinate relative to the TOP-LEFT corner (0,0) of the window screenshot/image"),
+  color: z.string().describe("Target color as hex, e.g. '#00ff00' or '#0f0'"),
+  tolerance: z.number().min(0).max(255).default(16).describe("Maximum per-channel difference to count as a match (0-255)"),
+  radius: z.number().int().min(0).max(10).default(0).describe("Average a square of (2 * radius + 1) screen pixels around the point (0-10, 0 = single pixel)"),
+  timeout: z.number().min(0).max(120000).default(10000).describe("Maximum time to wait in milliseconds (0-120000ms)"),
+  pollInterval: z.number().min(50).max(10000).default(100).describe("Time between samples in milliseconds (50-10000ms)")
+}, async (params) => toMcpResponse(await capabilityImplementations.wait_for_pixel(params)));
+
+server.tool("record", "Records a window or screen region at a given frame rate as an animated WebP/GIF or a list of timestamped frames, stored as screenshot:// resources. Use untilStopped to record in the background while other actions run, then call stop_recording.", {
+  windowId: z.number().optional().describe("Window ID to record (from list_windows). Omit to record the screen."),
+  displayId: z.union([z.string(), z.number()]).optional().describe("Display to record when windowId is omitted (id from list_displays, default: primary display)"),
+  x1: z.number().optional().describe("Left X coordinate of the screen region, relative to the display"),
+  y1: z.number().optional().describe("Top Y coordinate of the screen region, relative to the display"),
+  x2: z.number().optional().describe("Right X coordinate of the screen region, relative to the display"),
+  y2: z.number().optional().describe("Bottom Y coordinate of the screen region, relative to the display"),
+  fps: z.number().min(0.5).max(15).default(5).describe("Frames per second (0.5-15). The real rate may be lower when captures are slow; frame timestamps are exact."),
+  duration: z.number().min(100).max(60000).default(5000).describe("Recording length in milliseconds (100-60000ms). With untilStopped this is the maximum length."),
+  format: z.enum(["webp", "gif", "frames"]).default("webp").describe("Animated WebP, animated GIF, or individual frames with timestamps"),
+  untilStopped: z.boolean().default(false).describe("If true, returns a recordingId immediately and records in the background until stop_recording or the duration elapses"),
+  includeCursor: z.boolean().default(false).describe("If true, draws the mouse pointer into every frame"),
+  encoding: encodingSchema
+}, async (params) => {
+  const result = await capabilityImplementations.record(params);
+  if (result.content) {
+    return result; // Already in correct format with the animation
+  } else {
+    return toMcpResponse(result);
+  }
+});
+
+server.tool("stop_recording", "Stops a background recording started with record({ untilStopped: true }) and returns the result", {
+  recordingId: z.string().describe("Recording ID returned by record")
+}, async (params) => {
+  const result = await capabilityImplementations.stop_recording(params);
+  if (result.content) {
+    return result; // Already in correct format with the animation
+  } else {
+    return toMcpResponse(result);
+  }
+});
+
 server.tool("multiple_desktop_actions", "Executes a sequence of desktop actions with optional delays and error handling", {
   actions: z.array(z.object({
     type: z.enum([
-      "mouse_move", "mouse_click", "keyboard_press", "keyboard_type", 
-      "screen_capture", "window_capture", "focus_window", "move_window_to_primary_screen"
+      "mouse_move", "mouse_click", "mouse_drag", "mouse_scroll", "keyboard_press", "keyboard_type", 
+      "key_down", "key_up", "mouse_down", "mouse_up", "release_all",
+      "clipboard_read", "clipboard_write", "screen_capture", "window_capture", "find_image", "compare_captures",
+      "wait_for_change", "wait_for_stable", "get_pixel_color", "wait_for_pixel", "record", "stop_recording", "focus_window", "move_window_to_primary_screen", "manage_window", "launch_app", "close_app", "watch_windows"
     ]).describe("Type of action to execute"),
     params: z.record(z.any()).optional().describe("Parameters for the action (same as individual method parameters)"),
     delay: z.number().min(0).max(60000).default(0).describe("Delay in milliseconds after this action (0-60000ms, up to 60 seconds)")
@@ -1617,39 +6486,188 @@ server.tool("multiple_desktop_actions", "Executes a sequence of desktop actions
   continueOnError: z.boolean().default(false).describe("If true, continue executing remaining actions even if one fails (default: false)")
 }, async (params) => toMcpResponse(await capabilityImplementations.multiple_desktop_actions(params)));
 
+// Builds the lightweight description of a stored capture used by the resource lists
+const describeCapture = (entry) => ({
+  uri: entry.uri,
+  id: entry.id,
+  mimeType: entry.mimeType,
+  bytes: entry.bytes,
+  onDisk: entry.onDisk,
+  kind: entry.metadata.kind,
+  source: entry.metadata.source,
+  width: entry.metadata.width || (entry.metadata.aiImageSize && entry.metadata.aiImageSize.width),
+  height: entry.metadata.height || (entry.metadata.aiImageSize && entry.metadata.aiImageSize.height),
+  timestamp: new Date(entry.metadata.timestamp).toISOString()
+});
+
+// Builds the window:// description of a window, with the coordinate metadata of its latest capture
+const describeWindowResource = (window) => ({
+  uri: `window://${window.id}`,
+  id: window.id,
+  title: window.title || 'Untitled',
+  owner: window.owner?.name || 'Unknown',
+  processId: window.owner?.processId || 0,
+  bounds: window.bounds,
+  captureMetadata: (global.windowCaptureMetadata && global.windowCaptureMetadata[window.id]) || null
+});
+
+// Lists open windows for the window:// resources
+const listResourceWindows = async () => {
+  const windows = await backend.windows.getOpenWindows();
+  return (windows || []).filter(window => window && window.id);
+};
+
 server.resource(
   "screenshot-list",
   "screenshot://list",
-  async () => {
-    const result = {
+  { description: "Stored captures (id, size, timestamp, source), most recent first", mimeType: "application/json" },
+  async (uri) => ({
+    contents: [{
+      uri: uri.href,
+      mimeType: "application/json",
+      text: JSON.stringify(captureStore.list().map(describeCapture)),
+    }]
+  })
+);
+
+server.resource(
+  "screenshot-content",
+  new ResourceTemplate("screenshot://{id}", {
+    list: async () => ({
+      resources: captureStore.list().map(entry => ({
+        uri: entry.uri,
+        name: entry.id,
+        mimeType: entry.mimeType,
+        description: `${entry.metadata.kind || 'capture'} capture from ${new Date(entry.metadata.timestamp).toISOString()}`
+      }))
+    })
+  }),
+  async (uri, { id }) => {
+    const stored = captureStore.get(id);
+    if (!stored) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource ${uri.href} not found: no stored capture with id "${id}"`);
+    }
+    return {
       contents: [
-        ...Object.keys(screenshots).map(name => ({
-          uri: `screenshot://${name}`,
-          mimeType: "image/webp",
-          blob: screenshots[name],
-        })),
+        {
+          uri: uri.href,
+          mimeType: stored.entry.mimeType,
+          blob: stored.buffer.toString('base64'),
+        },
+        {
+          uri: `${uri.href}/metadata`,
+          mimeType: "application/json",
+          text: JSON.stringify(stored.entry),
+        }
       ]
     };
-
-    return result;
   }
 );
 
 server.resource(
-  "screenshot-content",
-  new ResourceTemplate("screenshot://{id}", { list: undefined }),
-  async (uri, { id }) => ({
+  "window-events",
+  "window://events",
+  { description: "Window lifecycle events (opened, closed, bounds_changed, title_changed, focus_changed) recorded by the window watcher, oldest first. Subscribing starts the watcher.", mimeType: "application/json" },
+  async (uri) => ({
     contents: [{
       uri: uri.href,
-      mimeType: "image/webp",
-      blob: screenshots[id],
+      mimeType: "application/json",
+      text: JSON.stringify({ ...windowWatcher.describe(), events: windowWatcher.events }),
     }]
   })
 );
 
+// Only window://events changes on its own; other resources report changes through list_changed
+server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  if (request.params.uri === 'window://events') {
+    windowWatcher.subscribed = true;
+    windowWatcher.refresh();
+  }
+  return {};
+});
+
+server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  if (request.params.uri === 'window://events') {
+    windowWatcher.subscribed = false;
+    windowWatcher.refresh();
+  }
+  return {};
+});
+
+server.resource(
+  "window-list",
+  "window://list",
+  { description: "Open windows with bounds and the coordinate metadata of their latest window_capture", mimeType: "application/json" },
+  async (uri) => {
+    const windows = await listResourceWindows();
+    await resourceNotifier.update({ windows });
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(windows.map(describeWindowResource)),
+      }]
+    };
+  }
+);
+
+server.resource(
+  "window-content",
+  new ResourceTemplate("window://{id}", {
+    list: async () => ({
+      resources: (await listResourceWindows()).map(window => ({
+        uri: `window://${window.id}`,
+        name: window.title || 'Untitled',
+        mimeType: "application/json",
+        description: `${window.owner?.name || 'Unknown'} window`
+      }))
+    })
+  }),
+  async (uri, { id }) => {
+    const window = (await listResourceWindows()).find(w => String(w.id) === String(id));
+    if (!window) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource ${uri.href} not found: no open window with id ${id}`);
+    }
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(describeWindowResource(window)),
+      }]
+    };
+  }
+);
+
+// Input events recorded by the simulated backend, so tests can check what the tools did
+if (backend.simulation) {
+  server.resource(
+    "simulation-events",
+    "simulation://events",
+    { description: "Input events recorded by the simulated backend (oldest first), with the pointer position and window under it", mimeType: "application/json" },
+    async (uri) => ({
+      contents: [{
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(backend.simulation.events),
+      }]
+    })
+  );
+}
+
 async function main() {
   const transport = new StdioServerTransport();
   
+  // Make captures spilled by earlier sessions available again
+  captureStore.loadSpilled();
+  
+  // Lay out the simulated desktop before the first tool call
+  if (backend.simulation && getArgValue('simulated-desktop')) {
+    await backend.simulation.load(getArgValue('simulated-desktop'));
+  }
+  
+  // Start the window watcher when --watch-windows is given
+  windowWatcher.refresh();
+  
   // Log debug mode status to debug.log if enabled
   if (isGlobalDebugEnabled) {
     debugLog(`\n=== MCP DESKTOP PRO SERVER STARTING ===\n`);
@@ -1659,11 +6677,32 @@ async function main() {
     debugLog(`==========================================\n\n`);
   }
   
+  // Never leave keys or mouse buttons held down, or launched applications
+  // running, when the session ends
+  const endSession = () => {
+    heldInputRegistry.releaseAll();
+    appRegistry.stopAll();
+  };
+  server.server.onclose = endSession;
+  process.stdin.on('close', endSession);
+  process.on('exit', endSession);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      endSession();
+      process.exit(0);
+    });
+  }
+  
   await server.connect(transport);
   // MCP Server running on stdio - logging removed to avoid protocol interference
 }
 
-main().catch((error) => {
-  console.error("Fatal error in main():", error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Fatal error in main():", error);
+    process.exit(1);
+  });
+}
+
+// Internals used by the tests in test/
+module.exports = { windowHelpers, windowSelectors, runProcess, backend };
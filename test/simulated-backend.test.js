@@ -0,0 +1,257 @@
+// Drives the server over stdio with --backend=simulated, the way an MCP client
+// would, against the desktop in fixtures/desktop.json: a Retina main display
+// (scale 2) with a second display to its left at negative x.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+const serverPath = path.join(__dirname, '..', 'server.js');
+const desktopPath = path.join(__dirname, 'fixtures', 'desktop.json');
+
+let client;
+
+// Starts a server on the fixture desktop with any extra command line options
+const startServer = async (extraArgs = []) => {
+  const started = new Client({ name: 'simulated-backend-test', version: '1.0.0' });
+  await started.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [serverPath, '--backend=simulated', `--simulated-desktop=${desktopPath}`, ...extraArgs],
+    stderr: 'ignore'
+  }));
+  return started;
+};
+
+beforeEach(async () => {
+  client = await startServer();
+});
+
+afterEach(async () => {
+  await client.close();
+});
+
+// Calls a tool and returns its first text content, parsed when it is JSON
+const call = async (name, args = {}) => {
+  const result = await client.callTool({ name, arguments: args });
+  const text = result.content.find(content => content.type === 'text').text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Recorded input events without the fields that vary between runs
+const inputEvents = async () => {
+  const { contents } = await client.readResource({ uri: 'simulation://events' });
+  return JSON.parse(contents[0].text).map(({ timestamp, mouse, ...event }) => event);
+};
+
+test('clicks on a scale 2 display map capture pixels to logical screen points', async () => {
+  const capture = await call('window_capture', { windowId: 6 });
+  assert.match(capture, /Original size: 400x200, AI sees: 400x200/);
+
+  assert.deepStrictEqual(await call('mouse_click', { windowId: 6, x: 100, y: 50 }), { success: true });
+  assert.deepStrictEqual((await inputEvents()).slice(-2), [
+    { type: 'moveMouse', x: 200, y: 150, windowId: 6 },
+    { type: 'mouseClick', button: 'left', double: false, windowId: 6 }
+  ]);
+});
+
+test('clicks on a display at negative x land on that display', async () => {
+  // Before any capture, window coordinates are logical points
+  await call('mouse_click', { windowId: 5, x: 10, y: 10 });
+
+  // A capture at the default scale of 0.5 halves the image, so image points double
+  const capture = await call('window_capture', { windowId: 5 });
+  assert.match(capture, /Original size: 400x300, AI sees: 200x150/);
+  await call('mouse_move', { windowId: 5, x: 100, y: 100 });
+
+  const moves = (await inputEvents()).filter(event => event.type === 'moveMouse');
+  assert.deepStrictEqual(moves, [
+    { type: 'moveMouse', x: -990, y: 20, windowId: 5 },
+    { type: 'moveMouse', x: -800, y: 210, windowId: 5 }
+  ]);
+});
+
+test('get_pixel_color reads the window under a point on the left display', async () => {
+  const result = await call('get_pixel_color', { windowId: 5, x: 50, y: 50 });
+  assert.deepStrictEqual(result, { success: true, hex: '#00ff00', rgb: { r: 0, g: 255, b: 0 }, screenX: -950, screenY: 60 });
+});
+
+test('multiple_desktop_actions runs actions in order and stops at the first failure', async () => {
+  const result = await call('multiple_desktop_actions', {
+    actions: [
+      { type: 'mouse_click', params: { windowId: 7, x: 10, y: 10 } },
+      { type: 'keyboard_type', params: { text: 'hi' } },
+      { type: 'focus_window', params: { windowId: 99 } },
+      { type: 'keyboard_press', params: { key: 'enter' } }
+    ]
+  });
+  assert.deepStrictEqual(result, { success: false, error: 'Action 2 (focus_window): Window not found with ID: 99' });
+
+  assert.deepStrictEqual(await inputEvents(), [
+    { type: 'moveMouse', x: 610, y: 110, windowId: 7 },
+    { type: 'mouseClick', button: 'left', double: false, windowId: 7 },
+    { type: 'typeString', text: 'hi', windowId: 7 }
+  ]);
+});
+
+test('compare_captures gives region centers in mouse_click coordinates only for a fresh window capture', async () => {
+  // The window is solid blue; the baseline has a white box at (200, 50) 100x50
+  const box = await sharp({ create: { width: 100, height: 50, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  const baselineImage = (await sharp({ create: { width: 400, height: 200, channels: 3, background: '#0000ff' } })
+    .composite([{ input: box, left: 200, top: 50 }]).png().toBuffer()).toString('base64');
+
+  const plain = await call('compare_captures', { baselineImage, windowId: 6 });
+  assert.deepStrictEqual(plain.regions.map(({ x, y, width, height, centerX, centerY }) => ({ x, y, width, height, centerX, centerY })), [
+    { x: 200, y: 50, width: 100, height: 50, centerX: 250, centerY: 75 }
+  ]);
+
+  // After a zoom on the right half, the same change is at the zoomed image's coordinates
+  await call('window_capture', { windowId: 6, zoom: { x1: 200, y1: 0, x2: 400, y2: 100 } });
+  const zoomed = await call('compare_captures', { baselineImage, windowId: 6 });
+  assert.match(zoomed.coordinateSpace, /window 6 image as used by mouse_click \(400x200, zoomed\)/);
+  assert.deepStrictEqual([zoomed.regions[0].centerX, zoomed.regions[0].centerY], [100, 150]);
+  await call('mouse_click', { windowId: 6, x: 100, y: 150 });
+  assert.deepStrictEqual((await inputEvents()).find(event => event.type === 'moveMouse'), { type: 'moveMouse', x: 350, y: 175, windowId: 6 });
+
+  // A given image wins over windowId, so there is no window coordinate claim
+  const given = await call('compare_captures', { baselineImage, image: baselineImage, windowId: 6 });
+  assert.strictEqual(given.coordinateSpace, 'baseline image (400x200)');
+});
+
+test('mouse_drag checks its points when called from multiple_desktop_actions', async () => {
+  const result = await call('multiple_desktop_actions', {
+    continueOnError: true,
+    actions: [
+      { type: 'mouse_drag', params: { windowId: 6, startX: '10', startY: 10, endX: 50 } },
+      { type: 'mouse_drag', params: { windowId: 6, startX: 10, startY: 10, endX: 50, endY: 20, waypoints: [{ x: 30 }] } }
+    ]
+  });
+  assert.deepStrictEqual(result.results.map(entry => entry.result.error), [
+    'mouse_drag requires numeric startX, endY',
+    'waypoints must be a list of { x, y } points with numeric coordinates'
+  ]);
+  assert.deepStrictEqual(await inputEvents(), []);
+});
+
+test('an instant drag refuses steps but runs without them', async () => {
+  const refused = await call('mouse_drag', { windowId: 6, startX: 10, startY: 10, endX: 50, endY: 20, steps: 5, motion: { profile: 'instant' } });
+  assert.strictEqual(refused.success, false);
+  assert.match(refused.error, /steps cannot be combined with motion.profile 'instant'/);
+
+  const dragged = await call('mouse_drag', { windowId: 6, startX: 10, startY: 10, endX: 50, endY: 20, duration: 0, motion: { profile: 'instant' } });
+  assert.strictEqual(dragged.success, true);
+  assert.strictEqual(dragged.steps, 1);
+});
+
+test('a selector that matches several windows is refused with the candidates', async () => {
+  const result = await call('focus_window', { window: { title: '^Editor' } });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /^2 windows match selector/);
+  assert.deepStrictEqual(result.candidates.map(candidate => candidate.id), [6, 7]);
+  assert.deepStrictEqual(result.candidates[1].selector, { owner: 'Editor', title: '^Editor - todo\\.txt$' });
+
+  // Each candidate's selector, an index or a narrower title picks one window
+  assert.strictEqual((await call('focus_window', { window: result.candidates[1].selector })).success, true);
+  assert.strictEqual((await call('focus_window', { window: { owner: 'Editor', index: 1 } })).success, true);
+  assert.strictEqual((await call('focus_window', { window: { titleContains: 'NOTES.TXT' } })).success, true);
+});
+
+test('selectors that match nothing or use a dangerous pattern are errors', async () => {
+  assert.deepStrictEqual(await call('focus_window', { window: { owner: 'Nobody' } }), {
+    success: false,
+    error: 'No window matches selector {"owner":"Nobody"}'
+  });
+
+  const nested = await call('focus_window', { window: { title: '(a+)+$' } });
+  assert.strictEqual(nested.success, false);
+  assert.match(nested.error, /repeats a group that itself repeats/);
+
+  const index = await call('focus_window', { window: { owner: 'Editor', index: 5 } });
+  assert.match(index.error, /has index 5, but only 2 window\(s\) match/);
+});
+
+test('tools report unknown windows and reject invalid parameters', async () => {
+  assert.deepStrictEqual(await call('mouse_click', { windowId: 99, x: 1, y: 1 }), {
+    success: false,
+    error: 'Window not found with ID: 99'
+  });
+  assert.strictEqual((await call('manage_window', { windowId: 99, action: 'maximize' })).success, false);
+
+  // Schema violations never reach the tool
+  await assert.rejects(call('mouse_click', { windowId: 6, x: 1, y: 1, button: 'side' }), /Invalid/);
+  await assert.rejects(call('manage_window', { windowId: 6, action: 'maximize', timeout: -1 }), /Invalid/);
+
+  // Nothing was clicked along the way
+  assert.deepStrictEqual(await inputEvents(), []);
+});
+
+test('the clipboard and launched applications stay inside the simulation', async () => {
+  await call('clipboard_write', { text: 'zażółć' });
+  assert.deepStrictEqual(await call('clipboard_read'), { success: true, format: 'text', text: 'zażółć' });
+
+  const launched = await call('launch_app', { command: '/usr/bin/simulated-notepad', args: ['--new'] });
+  assert.strictEqual(launched.success, true);
+  assert.strictEqual(launched.window.title, 'simulated-notepad');
+  assert.strictEqual((await call('close_app', { pid: launched.pid })).success, true);
+
+  const events = (await inputEvents()).filter(event => ['clipboardWrite', 'spawn', 'kill'].includes(event.type));
+  assert.deepStrictEqual(events.map(event => event.type), ['clipboardWrite', 'spawn', 'kill']);
+  assert.deepStrictEqual(events[1].args, ['--new']);
+});
+
+test('xdotool typing is recorded instead of run', { skip: process.platform !== 'linux' && 'xdotool-type is Linux only' }, async () => {
+  assert.strictEqual((await call('keyboard_type', { windowId: 6, text: 'abc', method: 'xdotool-type' })).success, true);
+  const runs = (await inputEvents()).filter(event => event.type === 'run').map(({ file, args }) => ({ file, args }));
+  assert.deepStrictEqual(runs, [{ file: 'xdotool', args: ['type', '--delay', '0', '--', 'abc'] }]);
+});
+
+test('captures larger than the whole capture store are reported, not stored', async () => {
+  await client.close();
+  // About 100 bytes: no capture fits
+  client = await startServer(['--store-max-mb=0.0001']);
+
+  const capture = await call('window_capture', { windowId: 6 });
+  assert.match(capture, /Not stored: the [\d.]+KB capture does not fit the 0KB capture store/);
+  assert.doesNotMatch(capture, /Stored as/);
+
+  const recording = await call('record', { windowId: 6, format: 'frames', fps: 5, duration: 500 });
+  assert.strictEqual(recording.success, false);
+  assert.match(recording.error, /^(\d+) of \1 frames did not fit the 0KB capture store and were dropped/);
+  assert.deepStrictEqual(recording.frames, []);
+
+  const { resources } = await client.listResources();
+  assert.deepStrictEqual(resources.map(resource => resource.uri).filter(uri => uri.startsWith('screenshot://')), ['screenshot://list']);
+});
+
+test('reloaded captures stay inside the spill directory and within the disk budget', async () => {
+  const spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-desktop-pro-store-'));
+  try {
+    const spilled = (id, timestamp, bytes) => {
+      fs.writeFileSync(path.join(spillDir, `${id}.png`), Buffer.alloc(bytes));
+      fs.writeFileSync(path.join(spillDir, `${id}.json`), JSON.stringify({ id, mimeType: 'image/png', bytes, file: `${id}.png`, metadata: { timestamp } }));
+    };
+    spilled('screenshot-1-001', 1, 600 * 1024);
+    spilled('screenshot-2-001', 2, 600 * 1024);
+    // Sidecars that point outside the directory or at another capture's id
+    fs.writeFileSync(path.join(spillDir, 'outside.json'), JSON.stringify({ id: 'outside', mimeType: 'image/png', bytes: 10, file: '../../etc/passwd', metadata: {} }));
+    fs.writeFileSync(path.join(spillDir, 'renamed.json'), JSON.stringify({ id: '../renamed', mimeType: 'image/png', bytes: 10, file: 'screenshot-2-001.png', metadata: {} }));
+
+    await client.close();
+    client = await startServer([`--store-dir=${spillDir}`, '--store-max-disk-mb=1']);
+
+    // Only the newer capture fits the 1MB disk budget; the older one is deleted
+    const { contents } = await client.readResource({ uri: 'screenshot://list' });
+    assert.deepStrictEqual(JSON.parse(contents[0].text).map(entry => entry.id), ['screenshot-2-001']);
+    assert.strictEqual(fs.existsSync(path.join(spillDir, 'screenshot-1-001.png')), false);
+    await assert.rejects(client.readResource({ uri: 'screenshot://outside' }));
+  } finally {
+    fs.rmSync(spillDir, { recursive: true, force: true });
+  }
+});
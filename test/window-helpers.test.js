@@ -0,0 +1,222 @@
+// Window helpers must hand window titles and application names to osascript,
+// wmctrl, xdotool and PowerShell as single arguments, never as script text.
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const childProcess = require('child_process');
+const os = require('os');
+
+const serverPath = require.resolve('../server.js');
+
+const hostileTitle = `Report "Q3" $(touch /tmp/pwned) & 'draft' \`id\``;
+const hostileApp = `Evil "App" $(rm -rf ~) & 'x'`;
+
+// Loads a fresh copy of the server as if it ran on the given platform. The
+// arguments, platform and module cache are put back so nothing leaks into
+// later tests in the same process.
+const loadServer = (platform) => {
+  const realPlatform = os.platform;
+  const realArgv = process.argv;
+  process.argv = [...realArgv, '--backend=simulated'];
+  os.platform = () => platform;
+  try {
+    delete require.cache[serverPath];
+    return require(serverPath);
+  } finally {
+    os.platform = realPlatform;
+    process.argv = realArgv;
+    delete require.cache[serverPath];
+  }
+};
+
+// Replaces child_process.spawn with a recorder. A call fails (exits with code 1)
+// when shouldFail returns true for it.
+const stubSpawn = (shouldFail = () => false) => {
+  const calls = [];
+  const realSpawn = childProcess.spawn;
+  childProcess.spawn = (file, args, options) => {
+    const call = { file, args, env: options.env };
+    calls.push(call);
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.stdin = Object.assign(new EventEmitter(), { end() {} });
+    child.kill = () => {};
+    setImmediate(() => child.emit('close', shouldFail(call, calls.length - 1) ? 1 : 0));
+    return child;
+  };
+  return { calls, restore: () => { childProcess.spawn = realSpawn; } };
+};
+
+const targetWindow = {
+  id: 4242,
+  title: hostileTitle,
+  owner: { name: hostileApp, bundleId: 'com.example.evil', processId: 77 },
+  bounds: { x: 10, y: 20, width: 300, height: 200 }
+};
+
+// The hostile strings may only ever appear as whole arguments
+const assertNotInScript = (args) => {
+  for (const arg of args) {
+    if (arg === hostileTitle || arg === hostileApp) continue;
+    assert.ok(!arg.includes('pwned') && !arg.includes('rm -rf'), `argument leaks a title or name: ${arg}`);
+  }
+};
+
+test('loadServer leaves the process as it found it', () => {
+  const argv = [...process.argv];
+  loadServer('darwin');
+  assert.deepStrictEqual(process.argv, argv);
+  assert.strictEqual(os.platform(), process.platform);
+  assert.strictEqual(require.cache[serverPath], undefined);
+});
+
+describe('macOS window helpers', () => {
+  let helpers;
+  let spawn;
+
+  beforeEach(() => {
+    helpers = loadServer('darwin').windowHelpers;
+  });
+  afterEach(() => spawn.restore());
+
+  test('focusWindow passes the application name as a script argument', async () => {
+    spawn = stubSpawn();
+    const result = await helpers.focusWindow(targetWindow);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(spawn.calls.length, 1);
+    assert.strictEqual(spawn.calls[0].file, 'osascript');
+    assert.strictEqual(spawn.calls[0].args.at(-1), hostileApp);
+    assertNotInScript(spawn.calls[0].args);
+  });
+
+  test('focusWindow falls back to the bundle id', async () => {
+    spawn = stubSpawn((call, index) => index === 0);
+    const result = await helpers.focusWindow(targetWindow);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(spawn.calls.length, 2);
+    assert.strictEqual(spawn.calls[1].args.at(-1), 'com.example.evil');
+    assert.ok(spawn.calls[1].args.includes('tell application id (item 1 of argv) to activate'));
+  });
+
+  test('moveWindow tries all four methods in order', async () => {
+    spawn = stubSpawn(() => true);
+    const result = await helpers.moveWindow(targetWindow, -1280, 40, 800, 600);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Failed to move window with all methods/);
+    assert.strictEqual(spawn.calls.length, 4);
+
+    const scripts = spawn.calls.map(call => call.args.filter((arg, i) => call.args[i - 1] === '-e').join('\n'));
+    assert.match(scripts[0], /tell application \(item 1 of argv\) to set position of first window/);
+    assert.match(scripts[1], /tell application id \(item 1 of argv\) to set position of first window/);
+    assert.match(scripts[2], /tell application process \(item 1 of argv\) to set position of first window/);
+    assert.match(scripts[3], /tell application process \(item 1 of argv\) to set position of window 1/);
+
+    const names = [hostileApp, 'com.example.evil', hostileApp, hostileApp];
+    spawn.calls.forEach((call, index) => {
+      assert.strictEqual(call.file, 'osascript');
+      assert.deepStrictEqual(call.args.slice(-5), [names[index], '-1280', '40', '800', '600']);
+      assertNotInScript(call.args);
+    });
+  });
+
+  test('moveWindow stops at the first method that works', async () => {
+    spawn = stubSpawn((call, index) => index < 2);
+    const result = await helpers.moveWindow(targetWindow, 0, 0, 640, 480);
+
+    assert.strictEqual(result.success, true);
+    assert.match(result.message, /using System Events\)/);
+    assert.strictEqual(spawn.calls.length, 3);
+  });
+
+  test('manageWindow passes the title and name as separate arguments', async () => {
+    spawn = stubSpawn();
+    const actions = ['set_bounds', 'minimize', 'restore', 'fullscreen', 'close', 'raise'];
+    for (const action of actions) {
+      const result = await helpers.manageWindow(targetWindow, action, { x: 1, y: 2, width: 3, height: 4 });
+      assert.strictEqual(result.success, true, action);
+    }
+
+    assert.strictEqual(spawn.calls.length, actions.length);
+    spawn.calls.forEach(({ file, args }, index) => {
+      assert.strictEqual(file, 'osascript');
+      assert.strictEqual(args[0], '-e');
+      assert.deepStrictEqual(args.slice(2, 5), [hostileApp, hostileTitle, actions[index]]);
+      assertNotInScript(args);
+    });
+  });
+});
+
+describe('Linux window helpers', () => {
+  let helpers;
+  let spawn;
+
+  beforeEach(() => {
+    helpers = loadServer('linux').windowHelpers;
+  });
+  afterEach(() => spawn.restore());
+
+  test('focusWindow addresses the window by id', async () => {
+    spawn = stubSpawn();
+    const result = await helpers.focusWindow(targetWindow);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(spawn.calls.map(call => [call.file, ...call.args]), [['wmctrl', '-i', '-a', '0x1092']]);
+  });
+
+  test('focusWindow falls back to xdotool', async () => {
+    spawn = stubSpawn(call => call.file === 'wmctrl');
+    const result = await helpers.focusWindow(targetWindow);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(spawn.calls[1].args, ['windowactivate', '4242']);
+  });
+
+  test('moveWindow and manageWindow never pass the title', async () => {
+    spawn = stubSpawn();
+    assert.strictEqual((await helpers.moveWindow(targetWindow, -1024, 0, 800, 600)).success, true);
+    for (const action of ['minimize', 'maximize', 'restore', 'fullscreen', 'close', 'always_on_top']) {
+      assert.strictEqual((await helpers.manageWindow(targetWindow, action)).success, true, action);
+    }
+
+    assert.ok(spawn.calls.length > 0);
+    for (const call of spawn.calls) {
+      assert.ok(['wmctrl', 'xdotool'].includes(call.file));
+      assert.ok(!call.args.some(arg => arg.includes(hostileTitle) || arg.includes(hostileApp)));
+    }
+    assert.deepStrictEqual(spawn.calls[1].args, ['-i', '-r', '0x1092', '-e', '0,-1024,0,800,600']);
+  });
+});
+
+describe('Windows window helpers', () => {
+  let helpers;
+  let spawn;
+
+  beforeEach(() => {
+    helpers = loadServer('win32').windowHelpers;
+  });
+  afterEach(() => spawn.restore());
+
+  test('focusWindow, moveWindow and manageWindow pass values through the environment', async () => {
+    spawn = stubSpawn();
+    assert.strictEqual((await helpers.focusWindow(targetWindow)).success, true);
+    assert.strictEqual((await helpers.moveWindow(targetWindow, -1920, 10, 800, 600)).success, true);
+    assert.strictEqual((await helpers.manageWindow(targetWindow, 'always_on_top', { enabled: false })).success, true);
+
+    assert.strictEqual(spawn.calls.length, 3);
+    for (const call of spawn.calls) {
+      assert.strictEqual(call.file, 'powershell');
+      assert.ok(!call.args.some(arg => arg.includes(hostileTitle) || arg.includes(hostileApp)));
+      assert.strictEqual(call.env.MCP_WINDOW_HANDLE, '4242');
+    }
+    assert.strictEqual(spawn.calls[0].env.MCP_WINDOW_ACTION, 'raise');
+    assert.deepStrictEqual(
+      ['MCP_WINDOW_ACTION', 'MCP_WINDOW_X', 'MCP_WINDOW_Y', 'MCP_WINDOW_WIDTH', 'MCP_WINDOW_HEIGHT'].map(name => spawn.calls[1].env[name]),
+      ['set_bounds', '-1920', '10', '800', '600']
+    );
+    assert.strictEqual(spawn.calls[2].env.MCP_WINDOW_ENABLED, 'false');
+  });
+});